@@ -6,12 +6,16 @@ const programVersion = require('./lib/version');
 // Define CLI
 program
     .version(programVersion)
+    .command('actions-secrets', 'Unifies the GitHub Actions secrets and variables of all repositories based on a config file and values from environment variables or files.')
     .command('add-issues-to-project', 'Appends all open issues of a repository to a certain column of a organization project.')
     .command('bulk-update-repositories', 'Runs the passed script in the root of all repositories and pushes the resulting changes.')
+    .command('code-owners', 'Generates the CODEOWNERS files of all repositories based on the team permissions and code owner rules of a config file.')
     .command('issue-labels', 'Unifies the issue labels of all repositories based on a config file.')
     .command('issue-templates', 'Unifies the issue templates of all repositories based on a config file as well as separate issue template files.')
     .command('move-column-to-project', 'Moves a project column incl. all its cards to a different project.')
     .command('repository-permissions', 'Organizes the team permissions on repositories based on a config file.')
     .command('repository-settings', 'Updates (some) settings of all (or some) repositories based on a config file.')
+    .command('sync-files', 'Unifies arbitrary files (e.g. license, editor config or workflow files) of all repositories based on a config file as well as separate source files.')
     .command('transfer-open-issues', 'Transfers all open issues of a repository to another repository.')
+    .command('validate-config', 'Validates a config file incl. all files it extends or includes without accessing GitHub.')
     .parse(process.argv);
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+const fs = require('mz/fs');
+const path = require('path');
+const { program } = require('commander');
+const asyncSequence = require('../asyncSequence');
+const commandRunner = require('./commandRunner');
+const configReader = require('../configReader');
+const encryptSecret = require('../encryptSecret');
+const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
+const getAccessToken = require('../getAccessToken');
+const limiter = require('../limiter');
+const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
+const programVersion = require('../version');
+
+/**
+ * Returns a key identifying the source of the value of the passed secret or variable config.
+ *
+ * @param {Object} entry
+ * @return {String}
+ */
+const getSourceKey = entry => (entry.fromEnv ? `env:${entry.fromEnv}` : `file:${entry.fromFile}`);
+
+/**
+ * Reads the value of the passed secret or variable config from its environment variable or file.
+ *
+ * @param {Object} entry
+ * @param {String} kind Either 'secret' or 'variable'.
+ * @return {String}
+ */
+const readValue = async (entry, kind) => {
+    if (entry.fromEnv) {
+        if (!(entry.fromEnv in process.env)) {
+            throw new Error(`The environment variable '${entry.fromEnv}' containing the value of ${kind} '${entry.name}' is not set.`);
+        }
+
+        return process.env[entry.fromEnv];
+    }
+    if (!await fs.exists(entry.fromFile)) {
+        throw new Error(`The file ${entry.fromFile} containing the value of ${kind} '${entry.name}' does not exist!`);
+    }
+
+    return fs.readFile(entry.fromFile, 'utf8');
+};
+
+/**
+ * Returns the global entries of the passed kind, whereby the entries of the passed repository config replace global
+ * entries having the same name. Returns `null` if neither the config nor the repository config contain any entries of
+ * that kind, i.e. they are not managed.
+ *
+ * @param {Object} config
+ * @param {Object|undefined} configRepository
+ * @param {String} key Either 'secrets' or 'variables'.
+ * @return {Object[]|null}
+ */
+const findEntries = (config, configRepository, key) => {
+    const repositoryEntries = (configRepository && configRepository[key]) || null;
+    if (!config[key] && !repositoryEntries) {
+        return null;
+    }
+
+    return [
+        ...(config[key] || []).filter(entry => !(repositoryEntries || []).find(repositoryEntry => repositoryEntry.name.toUpperCase() === entry.name.toUpperCase())),
+        ...(repositoryEntries || []),
+    ];
+};
+
+/**
+ * Compares the configured secrets with the Actions secrets of the passed GitHub repository and returns the changes
+ * necessary to create missing secrets and, if `deleteUnlisted` is true, delete all secrets that are not configured.
+ * Since GitHub does not reveal the values of secrets, existing secrets are only updated if `updateExisting` is true.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {Object[]} secrets
+ * @param {Map} values The values of all secrets and variables, mapped to the keys of their sources.
+ * @param {Object} options
+ * @param {Boolean} options.updateExisting
+ * @param {Boolean} options.deleteUnlisted
+ * @return {Object[]}
+ */
+const planSecretChanges = async (octokit, repoInfo, secrets, values, { updateExisting, deleteUnlisted }) => {
+    const githubSecrets = await octokit.paginate(octokit.rest.actions.listRepoSecrets, repoInfo);
+    let publicKeyPromise = null;
+    const uploadSecret = async (secret) => {
+        if (!publicKeyPromise) {
+            publicKeyPromise = limiter.schedule(() => octokit.rest.actions.getRepoPublicKey(repoInfo));
+        }
+        const { data: publicKey } = await publicKeyPromise;
+        const encryptedValue = await encryptSecret(values.get(getSourceKey(secret)), publicKey.key);
+        await limiter.schedule(() => octokit.rest.actions.createOrUpdateRepoSecret({
+            ...repoInfo,
+            secret_name: secret.name.toUpperCase(),
+            encrypted_value: encryptedValue,
+            key_id: publicKey.key_id,
+        }));
+    };
+
+    const changes = [];
+    secrets.forEach((secret) => {
+        const githubSecret = githubSecrets.find(anySecret => anySecret.name.toUpperCase() === secret.name.toUpperCase());
+        if (githubSecret && !updateExisting) {
+            return;
+        }
+        changes.push({
+            action: githubSecret ? 'update' : 'create',
+            description: `secret '${secret.name.toUpperCase()}'`,
+            apply: () => uploadSecret(secret),
+        });
+    });
+    githubSecrets
+        .filter(githubSecret => deleteUnlisted && !secrets.find(secret => secret.name.toUpperCase() === githubSecret.name.toUpperCase()))
+        .forEach((githubSecret) => {
+            changes.push({
+                action: 'delete',
+                description: `secret '${githubSecret.name}'`,
+                apply: () => limiter.schedule(() => octokit.rest.actions.deleteRepoSecret({
+                    ...repoInfo,
+                    secret_name: githubSecret.name,
+                })),
+            });
+        });
+
+    return changes;
+};
+
+/**
+ * Compares the configured variables with the Actions variables of the passed GitHub repository and returns the changes
+ * necessary to create missing variables, update changed variables and, if `deleteUnlisted` is true, delete all
+ * variables that are not configured. The values of variables are never part of the changes' details.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {Object[]} variables
+ * @param {Map} values The values of all secrets and variables, mapped to the keys of their sources.
+ * @param {Boolean} deleteUnlisted
+ * @return {Object[]}
+ */
+const planVariableChanges = async (octokit, repoInfo, variables, values, deleteUnlisted) => {
+    const githubVariables = await octokit.paginate(octokit.rest.actions.listRepoVariables, repoInfo);
+
+    const changes = [];
+    variables.forEach((variable) => {
+        const name = variable.name.toUpperCase();
+        const value = values.get(getSourceKey(variable));
+        const githubVariable = githubVariables.find(anyVariable => anyVariable.name.toUpperCase() === name);
+        if (!githubVariable) {
+            changes.push({
+                action: 'create',
+                description: `variable '${name}'`,
+                apply: () => limiter.schedule(() => octokit.rest.actions.createRepoVariable({
+                    ...repoInfo,
+                    name,
+                    value,
+                })),
+            });
+        } else if (githubVariable.value !== value) {
+            changes.push({
+                action: 'update',
+                description: `variable '${name}'`,
+                details: ['value changed'],
+                apply: () => limiter.schedule(() => octokit.rest.actions.updateRepoVariable({
+                    ...repoInfo,
+                    name,
+                    value,
+                })),
+            });
+        }
+    });
+    githubVariables
+        .filter(githubVariable => deleteUnlisted && !variables.find(variable => variable.name.toUpperCase() === githubVariable.name.toUpperCase()))
+        .forEach((githubVariable) => {
+            changes.push({
+                action: 'delete',
+                description: `variable '${githubVariable.name}'`,
+                apply: () => limiter.schedule(() => octokit.rest.actions.deleteRepoVariable({
+                    ...repoInfo,
+                    name: githubVariable.name,
+                })),
+            });
+        });
+
+    return changes;
+};
+
+// Define CLI
+program
+    .version(programVersion)
+    .arguments('<config_file>')
+    .option('--update-secrets', 'Pass this option to upload all configured secrets again, e.g. after rotating them. Otherwise only missing secrets are uploaded, since the values of existing secrets cannot be compared.')
+    .option('--delete-unlisted', 'Pass this option to delete all secrets and variables of a repository that are not configured.')
+    .option('--include-public-repos', 'Pass this option to update both public and private repositories.')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
+    .parse(process.argv);
+
+// Run command
+commandRunner(async () => {
+    // Validate arguments
+    if (program.args.length < 1) {
+        throw new Error('No config file given!');
+    }
+
+    // Read the config file
+    const configPath = path.resolve(process.cwd(), program.args[0]);
+    const config = await configReader(configPath);
+
+    // Check for any secrets or variables
+    const configRepositories = config.repositories.filter(repoConfig => repoConfig.secrets || repoConfig.variables);
+    if (!config.secrets && !config.variables && configRepositories.length === 0) {
+        throw new Error('The provided config file must contain \'secrets\' and/or \'variables\', either globally or per \'repository\', to be able to run this command.');
+    }
+
+    // Read all values before changing any repository
+    console.log('Reading the values of all secrets and variables...');
+    const values = new Map();
+    await asyncSequence(['secrets', 'variables'], key => asyncSequence(
+        [config, ...configRepositories].reduce((entries, configEntry) => [...entries, ...(configEntry[key] || [])], []),
+        async (entry) => {
+            values.set(getSourceKey(entry), await readValue(entry, key.slice(0, -1)));
+        },
+    ));
+
+    // Configure Octokit
+    const accessToken = await getAccessToken();
+    const octokit = makeOctokit(accessToken);
+
+    // Check whether the user has access to the org selected in the config
+    const githubOrg = await findOrganization(octokit, config.orgName);
+
+    // Fetch the org's repositories
+    console.log('Loading available repositories...');
+    let allGithubRepositories = await octokit.paginate(octokit.rest.repos.listForOrg, {
+        org: githubOrg.login,
+    });
+    allGithubRepositories = allGithubRepositories.filter(repository => (
+        !repository.archived
+        && !repository.fork
+        && (repository.private || program.opts().includePublicRepos)
+    ));
+    console.log(`\t${allGithubRepositories.length} active repositories found`);
+
+    // Update the secrets and variables of all repositories
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+        continueOnError: true,
+    });
+    await asyncSequence(allGithubRepositories, async (githubRepository) => {
+        console.log(`Updating Actions secrets and variables of repository '${githubRepository.name}':`);
+        const configRepository = findRepositoryConfig(config.repositories, githubRepository);
+        const repoInfo = {
+            owner: githubOrg.login,
+            repo: githubRepository.name,
+        };
+        const deleteUnlisted = program.opts().deleteUnlisted === true;
+
+        try {
+            const changes = [];
+            const secrets = findEntries(config, configRepository, 'secrets');
+            if (secrets) {
+                console.log('\tLoading secrets...');
+                changes.push(...await planSecretChanges(octokit, repoInfo, secrets, values, {
+                    updateExisting: program.opts().updateSecrets === true,
+                    deleteUnlisted,
+                }));
+            }
+            const variables = findEntries(config, configRepository, 'variables');
+            if (variables) {
+                console.log('\tLoading variables...');
+                changes.push(...await planVariableChanges(octokit, repoInfo, variables, values, deleteUnlisted));
+            }
+
+            await plan.add(`repository '${githubRepository.name}'`, changes);
+        } catch (error) {
+            console.error(`\t❌ Failed to update Actions secrets and variables in repository '${githubRepository.name}': ${error.message}`);
+        }
+    });
+    await plan.apply();
+});
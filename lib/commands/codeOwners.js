@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { program } = require('commander');
+const asyncSequence = require('../asyncSequence');
+const commandRunner = require('./commandRunner');
+const configReader = require('../configReader');
+const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
+const getAccessToken = require('../getAccessToken');
+const loadCustomRepositoryRoles = require('../loadCustomRepositoryRoles');
+const loadFileFromGithub = require('../loadFileFromGithub');
+const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
+const planFileChange = require('../planFileChange');
+const planFileDelivery = require('../planFileDelivery');
+const programVersion = require('../version');
+
+const CODEOWNERS_PATH = '.github/CODEOWNERS';
+const WRITE_PERMISSIONS = ['admin', 'maintain', 'push'];
+
+/**
+ * Loads the custom repository roles of the org, if any custom roles are used in the config, and returns a function
+ * that checks whether a permission (i.e. a built-in permission or the name of a custom role) includes write access.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object} config
+ * @return {Function}
+ * @throws {Error} If a custom role does not exist in the org.
+ */
+const makeWritePermissionCheck = async (octokit, githubOrg, config) => {
+    const permissions = [
+        ...config.teams.map(team => team.defaultPermission),
+        ...config.repositories.reduce((repositoryPermissions, repository) => [
+            ...repositoryPermissions,
+            ...repository.teamPermissions.map(teamPermission => teamPermission.permission),
+        ], []),
+    ];
+    const customRoles = await loadCustomRepositoryRoles(octokit, githubOrg, permissions);
+
+    return (permission) => {
+        if (permission === null) {
+            return false;
+        }
+        const customRole = customRoles.get(permission);
+
+        // Custom roles are always based on one of the built-in roles 'read', 'triage', 'write' or 'maintain'
+        return WRITE_PERMISSIONS.includes(permission) || (!!customRole && ['write', 'maintain'].includes(customRole.base_role));
+    };
+};
+
+/**
+ * Returns the names of all configured teams that have write access to the repository of the passed repository config,
+ * based on their `defaultPermission` and the `teamPermissions` of the repository.
+ *
+ * @param {Object[]} configTeams
+ * @param {Object|undefined} configRepository
+ * @param {Function} isWritePermission
+ * @return {String[]}
+ */
+const findWritingTeamNames = (configTeams, configRepository, isWritePermission) => configTeams
+    .filter((configTeam) => {
+        const teamPermission = configRepository && configRepository.teamPermissions.find(permission => permission.teamName === configTeam.name);
+
+        return isWritePermission(teamPermission ? teamPermission.permission : configTeam.defaultPermission);
+    })
+    .map(configTeam => configTeam.name);
+
+/**
+ * Returns the global code owner rules, whereby the rules of the passed repository config replace the global rules
+ * having the same pattern and all other rules of the repository are appended. Since the last matching rule of a
+ * CODEOWNERS file takes precedence, a rule for the pattern `*` is always placed first. Unless configured, that rule is
+ * derived from the teams having write access to the repository.
+ *
+ * @param {Object[]} codeOwners
+ * @param {Object|undefined} configRepository
+ * @param {String[]} writingTeamNames
+ * @return {Object[]}
+ */
+const findCodeOwnerRules = (codeOwners, configRepository, writingTeamNames) => {
+    const repositoryCodeOwners = (configRepository && configRepository.codeOwners) || [];
+    const rules = [
+        ...codeOwners.filter(rule => !repositoryCodeOwners.find(repositoryRule => repositoryRule.pattern === rule.pattern)),
+        ...repositoryCodeOwners,
+    ];
+    const defaultRule = rules.find(rule => rule.pattern === '*') || ((writingTeamNames.length > 0) ? {
+        pattern: '*',
+        teams: writingTeamNames,
+    } : null);
+
+    return [
+        ...(defaultRule ? [defaultRule] : []),
+        ...rules.filter(rule => rule !== defaultRule),
+    ];
+};
+
+/**
+ * Creates the contents of a CODEOWNERS file containing the passed rules.
+ *
+ * @param {Object[]} rules
+ * @param {Object} githubOrg
+ * @param {Map} teamSlugs The slugs of the org's teams, mapped to their names.
+ * @return {String}
+ */
+const createCodeOwnersFile = (rules, githubOrg, teamSlugs) => {
+    const lines = rules.map(rule => [
+        rule.pattern,
+        ...(rule.teams || []).map(teamName => `@${githubOrg.login}/${teamSlugs.get(teamName)}`),
+        ...(rule.users || []).map(username => `@${username}`),
+    ].join(' '));
+
+    return `# This file is generated by github-commander. Do not edit it manually.\n\n${lines.join('\n')}\n`;
+};
+
+// Define CLI
+program
+    .version(programVersion)
+    .option('--include-public-repos', 'Pass this option to update both public and private repositories.')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
+    .arguments('<config_file>')
+    .parse(process.argv);
+
+// Run command
+commandRunner(async () => {
+    // Validate arguments
+    if (program.args.length < 1) {
+        throw new Error('No config file given!');
+    }
+
+    // Read the config file
+    const configPath = path.resolve(process.cwd(), program.args[0]);
+    const config = await configReader(configPath);
+    if (config.teams.length === 0 && !config.codeOwners && !config.repositories.find(repository => repository.codeOwners)) {
+        throw new Error('The provided config file must contain \'teams\' or \'codeOwners\', either globally or per \'repository\', to be able to run this command.');
+    }
+
+    // Configure Octokit
+    const accessToken = await getAccessToken();
+    const octokit = makeOctokit(accessToken);
+
+    // Check whether the user has access to the org selected in the config
+    const githubOrg = await findOrganization(octokit, config.orgName);
+
+    // Make sure that all custom repository roles used in the config exist
+    const isWritePermission = await makeWritePermissionCheck(octokit, githubOrg, config);
+
+    // Make sure that all configured teams exist, since CODEOWNERS files reference teams by their slugs
+    console.log('Loading available teams...');
+    const allGithubTeams = await octokit.paginate(octokit.rest.teams.list, {
+        org: githubOrg.login,
+    });
+    console.log(`\t${allGithubTeams.length} teams found`);
+    const teamSlugs = new Map();
+    config.teams.forEach((configTeam) => {
+        const githubTeam = allGithubTeams.find(team => team.name === configTeam.name);
+        if (githubTeam) {
+            teamSlugs.set(configTeam.name, githubTeam.slug);
+        }
+    });
+    const referencedTeamNames = [config, ...config.repositories]
+        .reduce((codeOwners, configEntry) => [...codeOwners, ...(configEntry.codeOwners || [])], [])
+        .reduce((teamNames, rule) => [...teamNames, ...(rule.teams || [])], []);
+    const missingTeamName = referencedTeamNames.find(teamName => !teamSlugs.has(teamName));
+    if (missingTeamName) {
+        throw new Error(`The team '${missingTeamName}' referenced in 'codeOwners' does not exist in org '${githubOrg.login}'. Run 'repository-permissions' to create it first.`);
+    }
+
+    // Fetch the org's repositories
+    console.log('Loading available repositories...');
+    let allGithubRepositories = await octokit.paginate(octokit.rest.repos.listForOrg, {
+        org: githubOrg.login,
+    });
+    allGithubRepositories = allGithubRepositories.filter(repository => (
+        !repository.archived
+        && !repository.fork
+        && (repository.private || program.opts().includePublicRepos)
+    ));
+    console.log(`\t${allGithubRepositories.length} active repositories found`);
+
+    // Update the CODEOWNERS files of all repositories
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+        continueOnError: true,
+    });
+    await asyncSequence(allGithubRepositories, async (githubRepository) => {
+        console.log(`Syncing code owners of repository '${githubRepository.name}':`);
+        const configRepository = findRepositoryConfig(config.repositories, githubRepository);
+        const writingTeamNames = findWritingTeamNames(config.teams, configRepository, isWritePermission);
+        const rules = findCodeOwnerRules(config.codeOwners || [], configRepository, writingTeamNames);
+        if (rules.length === 0) {
+            // Never delete CODEOWNERS files that might have been created manually
+            console.log('\tNo code owners configured');
+
+            return;
+        }
+        const repoInfo = {
+            owner: githubOrg.login,
+            repo: githubRepository.name,
+        };
+
+        try {
+            // GitHub ignores code owners without write access, hence make sure that the generated file is valid
+            rules.forEach((rule) => {
+                (rule.teams || []).forEach((teamName) => {
+                    if (!writingTeamNames.includes(teamName)) {
+                        throw new Error(`The team '${teamName}' is a code owner of '${rule.pattern}', but does not have write access to the repository.`);
+                    }
+                    if (!teamSlugs.has(teamName)) {
+                        throw new Error(`The team '${teamName}' has write access to the repository, but does not exist in org '${githubOrg.login}'. Run 'repository-permissions' to create it first.`);
+                    }
+                });
+            });
+            const content = createCodeOwnersFile(rules, githubOrg, teamSlugs);
+
+            // Only compare the exact file contents to prevent creating commits in case nothing changes
+            const githubFile = await loadFileFromGithub(octokit, repoInfo, CODEOWNERS_PATH, true);
+            const change = planFileChange(octokit, repoInfo, 'code owners', CODEOWNERS_PATH, githubFile, content);
+            if (!change) {
+                console.log('\tCode owners are up to date');
+            }
+
+            // Deliver even if nothing changed to close obsolete pull requests
+            await plan.add(`repository '${githubRepository.name}'`, await planFileDelivery(octokit, githubRepository, change ? [change] : [], config.codeOwnersDelivery, {
+                commitMessage: 'Update code owners',
+                branch: 'github-commander/code-owners',
+            }));
+        } catch (error) {
+            console.error(`\t❌ Failed to update code owners in repository '${githubRepository.name}': ${error.message}`);
+        }
+    });
+    await plan.apply();
+});
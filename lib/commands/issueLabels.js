@@ -6,15 +6,74 @@ const asyncSequence = require('../asyncSequence');
 const commandRunner = require('./commandRunner');
 const configReader = require('../configReader');
 const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
 const getAccessToken = require('../getAccessToken');
 const limiter = require('../limiter');
 const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
 const programVersion = require('../version');
 
+/**
+ * @param {Object} issue
+ * @param {String} labelName
+ * @return {Boolean}
+ */
+const hasLabel = (issue, labelName) => !!issue.labels.find(label => label.name.toLowerCase() === labelName.toLowerCase());
+
+/**
+ * Loads all open and closed issues and pull requests of the repository that are labelled with `labelName`.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {String} labelName
+ * @return {Object[]}
+ */
+const findLabelledIssues = async (octokit, repoInfo, labelName) => {
+    // The `labels` filter is a comma separated list, hence issues of labels containing a comma can only be filtered here
+    const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+        ...repoInfo,
+        ...(labelName.includes(',') ? {} : { labels: labelName }),
+        state: 'all',
+    });
+
+    return issues.filter(issue => hasLabel(issue, labelName));
+};
+
+/**
+ * Returns all passed issues that are not labelled with `labelName` yet.
+ *
+ * @param {Object[]} issues
+ * @param {String} labelName
+ * @return {Object[]}
+ */
+const findIssuesToRelabel = (issues, labelName) => issues.filter(issue => !hasLabel(issue, labelName));
+
+/**
+ * Adds the label `labelName` to all passed issues that are not labelled with it yet.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {Object[]} issues
+ * @param {String} labelName
+ * @return {Number} The number of relabelled issues.
+ */
+const addLabelToIssues = async (octokit, repoInfo, issues, labelName) => {
+    const issuesToRelabel = findIssuesToRelabel(issues, labelName);
+    await asyncSequence(issuesToRelabel, issue => limiter.schedule(() => octokit.rest.issues.addLabels({
+        ...repoInfo,
+        issue_number: issue.number,
+        labels: [labelName],
+    })));
+
+    return issuesToRelabel.length;
+};
+
 // Define CLI
 program
     .version(programVersion)
     .arguments('<config_file>')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
     .parse(process.argv);
 
 // Run command
@@ -47,6 +106,14 @@ commandRunner(async () => {
     console.log(`\t${allGithubRepositories.length} active repositories found`);
 
     // Update the issue labels of all repositories
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+    });
+    const relabelledIssueCounts = new Map();
+    const countRelabelledIssues = (repositoryName, count) => {
+        relabelledIssueCounts.set(repositoryName, (relabelledIssueCounts.get(repositoryName) || 0) + count);
+    };
     await asyncSequence(allGithubRepositories, async (githubRepository) => {
         console.log(`Syncing issue labels of repository '${githubRepository.name}':`);
         // Load existing issue labels
@@ -56,58 +123,180 @@ commandRunner(async () => {
         });
 
         // Use repository-configured issue labels, or, if those are not specified, the global issue label configuration
-        const repositoryConfig = config.repositories.find(repository => repository.name === githubRepository.name);
-        const expectedIssueLabels = (repositoryConfig && repositoryConfig.issueLabels) || config.issueLabels;
-
-        // Add new labels
-        const labelsToAdd = expectedIssueLabels.filter(issueLabel => !repoLabels.find(label => label.name.toLowerCase() === issueLabel.name.toLowerCase()));
-        await Promise.all(labelsToAdd.map(async (newLabel) => {
-            console.log(`\tAdding new label '${newLabel.name}' with color '#${newLabel.color}'...`);
-
-            return limiter.schedule(() => octokit.rest.issues.createLabel({
-                owner: githubOrg.login,
-                repo: githubRepository.name,
-                name: newLabel.name,
-                description: newLabel.description || null,
-                color: newLabel.color,
-            }));
-        }));
+        const repositoryConfig = findRepositoryConfig(config.repositories, githubRepository);
+        const configuredIssueLabels = (repositoryConfig && repositoryConfig.issueLabels) || config.issueLabels;
+        const issueLabelSettings = {
+            ...config.issueLabelSettings,
+            ...((repositoryConfig && repositoryConfig.issueLabelSettings) || {}),
+            mergeInto: {
+                ...config.issueLabelSettings.mergeInto,
+                ...((repositoryConfig && repositoryConfig.issueLabelSettings && repositoryConfig.issueLabelSettings.mergeInto) || {}),
+            },
+        };
 
-        // Update changed labels (only color can change)
-        await Promise.all(repoLabels.map(async (repoLabel) => {
-            const issueLabel = expectedIssueLabels.find(label => label.name.toLowerCase() === repoLabel.name.toLowerCase());
-            if (!issueLabel) {
-                return null;
-            }
+        // Only reconcile labels in the managed namespaces (if any) and leave all other labels alone
+        const isManagedLabelName = name => !issueLabelSettings.managedPrefixes || issueLabelSettings.managedPrefixes.some(prefix => name.toLowerCase().startsWith(prefix.toLowerCase()));
+        const expectedIssueLabels = configuredIssueLabels.filter(issueLabel => isManagedLabelName(issueLabel.name));
+        const ignoredLabelCount = configuredIssueLabels.length - expectedIssueLabels.length;
+        if (ignoredLabelCount > 0) {
+            console.log(`\tIgnoring ${ignoredLabelCount} configured labels, because they do not match any managed prefix`);
+        }
+
+        const repoInfo = {
+            owner: githubOrg.login,
+            repo: githubRepository.name,
+        };
+        const changes = [];
+        const handledRepoLabels = [];
+        const findRepoLabel = name => repoLabels.find(label => label.name.toLowerCase() === name.toLowerCase());
+
+        await asyncSequence(expectedIssueLabels, async (issueLabel) => {
             const issueLabelDescription = issueLabel.description || null;
-            const repoLabelDescription = repoLabel.description || null;
-            if (issueLabelDescription === repoLabelDescription && issueLabel.color === repoLabel.color.toLowerCase()) {
-                return null;
+            const repoLabel = findRepoLabel(issueLabel.name);
+            const previousRepoLabels = (issueLabel.previousNames || [])
+                .map(findRepoLabel)
+                .filter(label => label && label !== repoLabel && !handledRepoLabels.includes(label));
+            handledRepoLabels.push(...[repoLabel, ...previousRepoLabels].filter(label => label));
+
+            // Rename the first existing label matching a previous name in place to keep it assigned to all issues
+            let labelName = issueLabel.name;
+            if (!repoLabel && previousRepoLabels.length > 0) {
+                const renamedRepoLabel = previousRepoLabels.shift();
+                const details = [Plan.formatValueChange('name', renamedRepoLabel.name, issueLabel.name)];
+                if (issueLabel.color !== renamedRepoLabel.color.toLowerCase()) {
+                    details.push(`color: ${Plan.formatColor(renamedRepoLabel.color.toLowerCase())} → ${Plan.formatColor(issueLabel.color)}`);
+                }
+                if (issueLabelDescription !== (renamedRepoLabel.description || null)) {
+                    details.push(Plan.formatValueChange('description', renamedRepoLabel.description || null, issueLabelDescription));
+                }
+                const currentName = renamedRepoLabel.name;
+                changes.push({
+                    action: 'update',
+                    description: `label '${currentName}'`,
+                    details,
+                    apply: () => limiter.schedule(() => octokit.rest.issues.updateLabel({
+                        ...repoInfo,
+                        current_name: currentName,
+                        name: issueLabel.name,
+                        description: issueLabelDescription,
+                        color: issueLabel.color,
+                    })),
+                });
+            } else if (repoLabel) {
+                // Update changed labels (only color and description can change)
+                labelName = repoLabel.name;
+                const repoLabelDescription = repoLabel.description || null;
+                const repoLabelColor = repoLabel.color.toLowerCase();
+                if (issueLabelDescription !== repoLabelDescription || issueLabel.color !== repoLabelColor) {
+                    const details = [];
+                    if (issueLabel.color !== repoLabelColor) {
+                        details.push(`color: ${Plan.formatColor(repoLabelColor)} → ${Plan.formatColor(issueLabel.color)}`);
+                    }
+                    if (issueLabelDescription !== repoLabelDescription) {
+                        details.push(Plan.formatValueChange('description', repoLabelDescription, issueLabelDescription));
+                    }
+                    const currentName = repoLabel.name;
+                    changes.push({
+                        action: 'update',
+                        description: `label '${currentName}'`,
+                        details,
+                        // Update label description and color
+                        apply: () => limiter.schedule(() => octokit.rest.issues.updateLabel({
+                            ...repoInfo,
+                            current_name: currentName,
+                            name: currentName,
+                            description: issueLabelDescription,
+                            color: issueLabel.color,
+                        })),
+                    });
+                }
+            } else {
+                // Add new label
+                changes.push({
+                    action: 'create',
+                    description: `label '${issueLabel.name}'`,
+                    details: [
+                        `color: ${Plan.formatColor(issueLabel.color)}`,
+                        `description: ${issueLabelDescription || 'n/a'}`,
+                    ],
+                    apply: () => limiter.schedule(() => octokit.rest.issues.createLabel({
+                        ...repoInfo,
+                        name: issueLabel.name,
+                        description: issueLabelDescription,
+                        color: issueLabel.color,
+                    })),
+                });
             }
 
-            console.log(`\tUpdating label '${repoLabel.name}':\n\t\t- description: ${issueLabelDescription || 'n/a'}\n\t\t- color: '#${issueLabel.color}'...`);
+            // Both the label and (some of) its previous names exist, hence move the issues of the previous labels to
+            // the label before deleting them (unless unknown labels shall be kept)
+            if (issueLabelSettings.keepUnknownLabels) {
+                return;
+            }
+            await asyncSequence(previousRepoLabels, async (previousRepoLabel) => {
+                const labelledIssues = await findLabelledIssues(octokit, repoInfo, previousRepoLabel.name);
+                changes.push({
+                    action: 'delete',
+                    description: `label '${previousRepoLabel.name}'`,
+                    details: [`previous name of '${labelName}', ${findIssuesToRelabel(labelledIssues, labelName).length} issues will be relabelled`],
+                    apply: async () => {
+                        const relabelledIssueCount = await addLabelToIssues(octokit, repoInfo, labelledIssues, labelName);
+                        countRelabelledIssues(githubRepository.name, relabelledIssueCount);
+                        await limiter.schedule(() => octokit.rest.issues.deleteLabel({
+                            ...repoInfo,
+                            name: previousRepoLabel.name,
+                        }));
+                    },
+                });
+            });
+        });
 
-            // Update label description and color
-            return limiter.schedule(() => octokit.rest.issues.updateLabel({
-                owner: githubOrg.login,
-                repo: githubRepository.name,
-                current_name: repoLabel.name,
+        // Delete obsolete labels, after moving their issues to their replacement label (if configured)
+        const repoLabelsToDelete = issueLabelSettings.keepUnknownLabels ? [] : repoLabels.filter(repoLabel => (
+            !handledRepoLabels.includes(repoLabel)
+            && isManagedLabelName(repoLabel.name)
+        ));
+        await asyncSequence(repoLabelsToDelete, async (repoLabel) => {
+            const deleteLabel = () => limiter.schedule(() => octokit.rest.issues.deleteLabel({
+                ...repoInfo,
                 name: repoLabel.name,
-                description: issueLabelDescription,
-                color: issueLabel.color,
             }));
-        }));
+            const mergeSourceName = Object.keys(issueLabelSettings.mergeInto).find(name => name.toLowerCase() === repoLabel.name.toLowerCase());
+            if (!mergeSourceName) {
+                changes.push({
+                    action: 'delete',
+                    description: `label '${repoLabel.name}'`,
+                    details: [`color: ${Plan.formatColor(repoLabel.color.toLowerCase())}`],
+                    apply: deleteLabel,
+                });
+
+                return;
+            }
 
-        // Delete obsolete labels
-        const repoLabelsToDelete = repoLabels.filter(repoLabel => !expectedIssueLabels.find(label => label.name.toLowerCase() === repoLabel.name.toLowerCase()));
-        await Promise.all(repoLabelsToDelete.map(async (repoLabel) => {
-            console.log(`\tDeleting label '${repoLabel.name}'...`);
+            const mergeTargetName = issueLabelSettings.mergeInto[mergeSourceName];
+            // The config reader ensures that the merge target is a configured issue label
+            const mergeTargetLabel = expectedIssueLabels.find(label => label.name.toLowerCase() === mergeTargetName.toLowerCase());
+            const mergeTargetRepoLabel = findRepoLabel(mergeTargetLabel.name);
+            const labelName = mergeTargetRepoLabel ? mergeTargetRepoLabel.name : mergeTargetLabel.name;
+            const labelledIssues = await findLabelledIssues(octokit, repoInfo, repoLabel.name);
+            changes.push({
+                action: 'delete',
+                description: `label '${repoLabel.name}'`,
+                details: [`merge into '${labelName}', ${findIssuesToRelabel(labelledIssues, labelName).length} issues will be relabelled`],
+                apply: async () => {
+                    const relabelledIssueCount = await addLabelToIssues(octokit, repoInfo, labelledIssues, labelName);
+                    countRelabelledIssues(githubRepository.name, relabelledIssueCount);
+                    await deleteLabel();
+                },
+            });
+        });
 
-            return limiter.schedule(() => octokit.rest.issues.deleteLabel({
-                owner: githubOrg.login,
-                repo: githubRepository.name,
-                name: repoLabel.name,
-            }));
-        }));
+        await plan.add(`repository '${githubRepository.name}'`, changes);
     });
+    await plan.apply();
+
+    if (relabelledIssueCounts.size > 0) {
+        console.log('Relabelled issues:');
+        relabelledIssueCounts.forEach((count, repositoryName) => console.log(`\t${repositoryName}: ${count}`));
+    }
 });
@@ -8,27 +8,41 @@ const asyncSequence = require('../asyncSequence');
 const commandRunner = require('./commandRunner');
 const configReader = require('../configReader');
 const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
 const getAccessToken = require('../getAccessToken');
 const limiter = require('../limiter');
+const loadFileFromGithub = require('../loadFileFromGithub');
 const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
+const planFileChange = require('../planFileChange');
+const planFileDelivery = require('../planFileDelivery');
 const programVersion = require('../version');
 
 const GITHUB_DIR = '.github';
 const GITHUB_ISSUE_TEMPLATE_DIR = path.join(GITHUB_DIR, 'ISSUE_TEMPLATE');
 const PR_TEMPLATE_NAME = '__PR_TEMPLATE__';
 const PR_TEMPLATE_FILE_NAME = 'pull_request_template.md';
+const GITHUB_PR_TEMPLATE_DIR = path.join(GITHUB_DIR, 'PULL_REQUEST_TEMPLATE');
+const PR_TEMPLATES_NAME_PREFIX = `${PR_TEMPLATE_NAME}/`;
+const ISSUE_TEMPLATE_CONFIG_NAME = '__ISSUE_TEMPLATE_CONFIG__';
+const ISSUE_TEMPLATE_CONFIG_FILE_NAME = 'config.yml';
+const ISSUE_TEMPLATE_CONFIG_FILE_NAMES = [ISSUE_TEMPLATE_CONFIG_FILE_NAME, 'config.yaml'];
+const ISSUE_FORM_FILE_EXTENSIONS = ['.yml', '.yaml'];
+const ISSUE_FORM_ELEMENT_TYPES = ['markdown', 'textarea', 'input', 'dropdown', 'checkboxes'];
 
 /**
  * Resolves the path of the passed `templateFile` relative to `configPath`.`
  *
  * @param {String} configPath
  * @param {String} templateFile
+ * @param {String[]} supportedExtensions (optional)
  * @return {String}
  */
-const resolveTemplateFilePath = async (configPath, templateFile) => {
+const resolveTemplateFilePath = async (configPath, templateFile, supportedExtensions = ['.md']) => {
     // Check file extension
-    if (path.extname(templateFile) !== '.md') {
-        throw new Error(`The type of template file ${templateFile} is not supported. Only '.md' is supported.`);
+    if (!supportedExtensions.includes(path.extname(templateFile))) {
+        const quotedExtensions = supportedExtensions.map(extension => `'${extension}'`);
+        throw new Error(`The type of template file ${templateFile} is not supported. Only ${quotedExtensions.join(', ')} ${(quotedExtensions.length > 1) ? 'are' : 'is'} supported.`);
     }
 
     // Check that file exists
@@ -41,6 +55,101 @@ const resolveTemplateFilePath = async (configPath, templateFile) => {
     return templatePath;
 };
 
+/**
+ * @param {String} filePath
+ * @return {Boolean}
+ */
+const isIssueFormFile = filePath => ISSUE_FORM_FILE_EXTENSIONS.includes(path.extname(filePath));
+
+/**
+ * Validates the passed (parsed) issue form against the rules GitHub applies to the form elements of its `body`.
+ *
+ * @param {Object} issueForm
+ * @param {String} templateFile
+ * @throws {Error}
+ */
+const validateIssueForm = (issueForm, templateFile) => {
+    const fail = (message) => {
+        throw new Error(`The issue form ${templateFile} is invalid: ${message}`);
+    };
+    if (typeof issueForm !== 'object' || issueForm === null || Array.isArray(issueForm)) {
+        fail('It must contain an object.');
+    }
+    if (!Array.isArray(issueForm.body) || issueForm.body.length === 0) {
+        fail('\'body\' must be a non-empty array of form elements.');
+    }
+    const ids = [];
+    issueForm.body.forEach((element, index) => {
+        const breadcrump = `body[${index}]`;
+        if (typeof element !== 'object' || element === null || !ISSUE_FORM_ELEMENT_TYPES.includes(element.type)) {
+            fail(`'${breadcrump}.type' must be one of ${ISSUE_FORM_ELEMENT_TYPES.map(type => `'${type}'`).join(', ')}.`);
+        }
+        if ('id' in element) {
+            if (typeof element.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(element.id)) {
+                fail(`'${breadcrump}.id' must only contain letters, numbers, '-' and '_'.`);
+            }
+            if (ids.includes(element.id)) {
+                fail(`'${breadcrump}.id' must be unique, but '${element.id}' is used more than once.`);
+            }
+            ids.push(element.id);
+        }
+        const { attributes } = element;
+        if (typeof attributes !== 'object' || attributes === null) {
+            fail(`'${breadcrump}.attributes' must be of type 'Object'.`);
+        }
+        if (element.type === 'markdown') {
+            if (typeof attributes.value !== 'string' || attributes.value.length === 0) {
+                fail(`'${breadcrump}.attributes.value' must be of type 'String' and not empty.`);
+            }
+
+            return;
+        }
+        if (typeof attributes.label !== 'string' || attributes.label.length === 0) {
+            fail(`'${breadcrump}.attributes.label' must be of type 'String' and not empty.`);
+        }
+        if (['dropdown', 'checkboxes'].includes(element.type) && (!Array.isArray(attributes.options) || attributes.options.length === 0)) {
+            fail(`'${breadcrump}.attributes.options' must be a non-empty array.`);
+        }
+        if (element.type === 'checkboxes') {
+            attributes.options.forEach((option, optionIndex) => {
+                if (typeof option !== 'object' || option === null || typeof option.label !== 'string' || option.label.length === 0) {
+                    fail(`'${breadcrump}.attributes.options[${optionIndex}].label' must be of type 'String' and not empty.`);
+                }
+            });
+        }
+    });
+    if (!issueForm.body.find(element => element.type !== 'markdown')) {
+        fail('\'body\' must contain at least one element that is not of type \'markdown\'.');
+    }
+};
+
+/**
+ * Creates a GitHub compatible issue form by combining the meta data of the passed issue template with the form
+ * elements of its (YAML) template file.
+ *
+ * @param {Object} issueTemplate
+ * @param {Object} metaData
+ * @return {String}
+ */
+const createIssueFormFile = async (issueTemplate, metaData) => {
+    let issueForm;
+    try {
+        issueForm = yaml.load(await fs.readFile(issueTemplate.templateFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`The issue form ${issueTemplate.templateFile} is invalid: ${error.message}`);
+    }
+    validateIssueForm(issueForm, issueTemplate.templateFile);
+
+    // Keep the meta data at the top, but let the config take precedence over the meta data of the template file
+    return yaml.dump({
+        ...metaData,
+        ...issueForm,
+        ...metaData,
+    }, {
+        lineWidth: 1000,
+    });
+};
+
 /**
  * Create a GitHub compatible issue template by prepending the meta data as yaml to the contents of the tempalte file.
  * The format use by GitHub is as follows:
@@ -53,16 +162,26 @@ const resolveTemplateFilePath = async (configPath, templateFile) => {
  *
  * The template contents...
  *```
+ * Optional meta data like `title`, `labels` and `assignees` is only added if configured. Issue forms are created
+ * using `createIssueFormFile()`.
  *
  * @param {Object} issueTemplate
  * @return {String}
  */
 const createIssueTemplateFile = async (issueTemplate) => {
-    // Dump meta data as YAML
+    const isIssueForm = isIssueFormFile(issueTemplate.templateFile);
     const metaData = {
         name: issueTemplate.name,
-        about: issueTemplate.description,
+        [isIssueForm ? 'description' : 'about']: issueTemplate.description,
     };
+    ['title', 'labels', 'assignees'].filter(key => key in issueTemplate).forEach((key) => {
+        metaData[key] = issueTemplate[key];
+    });
+    if (isIssueForm) {
+        return createIssueFormFile(issueTemplate, metaData);
+    }
+
+    // Dump meta data as YAML
     const metaDataPrefix = yaml.dump(metaData, {
         // Use a very long line length, which exceeds the possible max length of any line to prevent line folding
         lineWidth: 1000,
@@ -75,37 +194,66 @@ const createIssueTemplateFile = async (issueTemplate) => {
 };
 
 /**
- * Loads the file at `path` from GitHub.
+ * Creates the contents of the config file of the template chooser from the passed config.
+ *
+ * @param {Object} issueTemplateConfig
+ * @return {String}
+ */
+const createIssueTemplateConfigFile = (issueTemplateConfig) => {
+    const templateConfig = {};
+    if ('blankIssuesEnabled' in issueTemplateConfig) {
+        templateConfig.blank_issues_enabled = issueTemplateConfig.blankIssuesEnabled;
+    }
+    if (issueTemplateConfig.contactLinks) {
+        templateConfig.contact_links = issueTemplateConfig.contactLinks.map(contactLink => ({
+            name: contactLink.name,
+            url: contactLink.url,
+            about: contactLink.about,
+        }));
+    }
+
+    return yaml.dump(templateConfig, {
+        lineWidth: 1000,
+    });
+};
+
+/**
+ * Parses the meta data of the passed template loaded from GitHub, i.e. the front matter of Markdown templates or the
+ * top level keys of issue forms.
  *
- * @param {Object} octokit
- * @param {Object} repoInfo
- * @param {String} githubPath
+ * @param {Object} template
  * @return {Object}
  */
-const loadFileFromGithub = async (octokit, repoInfo, githubPath) => {
-    // Load the template file
-    const response = await limiter.schedule(() => octokit.rest.repos.getContent({
-        ...repoInfo,
-        path: githubPath,
-    }));
-    const fileInfo = response.data;
-    const rawFileContent = Buffer.from(fileInfo.content, 'base64').toString('utf8');
-
-    return {
-        fileName: fileInfo.name,
-        fileSha: fileInfo.sha,
-        githubPath,
-        rawFileContent,
-    };
+const parseTemplateMetaData = (template) => {
+    if (isIssueFormFile(template.fileName)) {
+        return yaml.load(template.rawFileContent) || {};
+    }
+    const rawMetaData = template.rawFileContent.split(/(\r?\n){2}---(\r?\n){2}/)[0];
+
+    return yaml.load(rawMetaData);
 };
 
-const createTemplateDescription = templateName => ((templateName === PR_TEMPLATE_NAME) ? 'pull request template' : `issue template '${templateName}'`);
+const createTemplateDescription = (templateName) => {
+    if (templateName === PR_TEMPLATE_NAME) {
+        return 'pull request template';
+    }
+    if (templateName.startsWith(PR_TEMPLATES_NAME_PREFIX)) {
+        return `pull request template '${templateName.slice(PR_TEMPLATES_NAME_PREFIX.length)}'`;
+    }
+    if (templateName === ISSUE_TEMPLATE_CONFIG_NAME) {
+        return 'issue template chooser config';
+    }
+
+    return `issue template '${templateName}'`;
+};
 const capitalizeString = string => string.charAt(0).toUpperCase() + string.slice(1);
 
 // Define CLI
 program
     .version(programVersion)
     .option('--include-public-repos', 'Pass this option to update both public and private repositories.')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
     .arguments('<config_file>')
     .parse(process.argv);
 
@@ -122,7 +270,7 @@ commandRunner(async () => {
 
     // Validate and read the configured template files
     const parseIssueTemplateFile = async (issueTemplate) => {
-        issueTemplate.templateFile = await resolveTemplateFilePath(configPath, issueTemplate.templateFile);
+        issueTemplate.templateFile = await resolveTemplateFilePath(configPath, issueTemplate.templateFile, ['.md', ...ISSUE_FORM_FILE_EXTENSIONS]);
         issueTemplate.githubTemplateFile = await createIssueTemplateFile(issueTemplate);
         issueTemplate.githubPath = path.join(GITHUB_ISSUE_TEMPLATE_DIR, path.basename(issueTemplate.templateFile));
     };
@@ -143,6 +291,30 @@ commandRunner(async () => {
         await parsePullRequestTemplateFile(repository.pullRequestTemplate);
         repository.pullRequestTemplate.name = PR_TEMPLATE_NAME;
     }));
+    // Named pull request templates are identified by their file name, which is derived from their name
+    const parsePullRequestTemplateFiles = pullRequestTemplates => Promise.all(pullRequestTemplates.map(async (pullRequestTemplate) => {
+        await parsePullRequestTemplateFile(pullRequestTemplate);
+        pullRequestTemplate.githubPath = path.join(GITHUB_PR_TEMPLATE_DIR, `${pullRequestTemplate.name}.md`);
+        pullRequestTemplate.name = `${PR_TEMPLATES_NAME_PREFIX}${pullRequestTemplate.name}`;
+    }));
+    if (config.pullRequestTemplates) {
+        await parsePullRequestTemplateFiles(config.pullRequestTemplates);
+    }
+    await Promise.all(config.repositories.filter(repository => repository.pullRequestTemplates).map(async (repository) => {
+        await parsePullRequestTemplateFiles(repository.pullRequestTemplates);
+    }));
+    const prepareIssueTemplateConfig = (issueTemplateConfig) => {
+        issueTemplateConfig.name = ISSUE_TEMPLATE_CONFIG_NAME;
+        issueTemplateConfig.templateFile = ISSUE_TEMPLATE_CONFIG_FILE_NAME;
+        issueTemplateConfig.githubTemplateFile = createIssueTemplateConfigFile(issueTemplateConfig);
+        issueTemplateConfig.githubPath = path.join(GITHUB_ISSUE_TEMPLATE_DIR, ISSUE_TEMPLATE_CONFIG_FILE_NAME);
+    };
+    if (config.issueTemplateConfig) {
+        prepareIssueTemplateConfig(config.issueTemplateConfig);
+    }
+    config.repositories.filter(repository => repository.issueTemplateConfig).forEach((repository) => {
+        prepareIssueTemplateConfig(repository.issueTemplateConfig);
+    });
 
     // Configure Octokit
     const accessToken = await getAccessToken();
@@ -164,11 +336,16 @@ commandRunner(async () => {
     console.log(`\t${allGithubRepositories.length} active repositories found`);
 
     // Update the issue and pull request templates of all repositories
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+        continueOnError: true,
+    });
     await asyncSequence(allGithubRepositories, async (githubRepository) => {
         console.log(`Syncing issue and pull request templates of repository '${githubRepository.name}':`);
 
         // Use repository-configured templates, or, if those are not specified, the global template configuration
-        const repositoryConfig = config.repositories.find(repository => repository.name === githubRepository.name);
+        const repositoryConfig = findRepositoryConfig(config.repositories, githubRepository);
         const configuredIssueTemplates = (repositoryConfig && repositoryConfig.issueTemplates) || config.issueTemplates;
         // Ensure a new array is created to prevent the original configuration from being changed
         const configuredTemplates = [...configuredIssueTemplates];
@@ -176,6 +353,16 @@ commandRunner(async () => {
         if (configuredPullRequestTemplate) {
             configuredTemplates.push(configuredPullRequestTemplate);
         }
+        // Named pull request templates are only managed if configured, i.e. configure an empty list to delete them all
+        const configuredPullRequestTemplates = (repositoryConfig && repositoryConfig.pullRequestTemplates) || config.pullRequestTemplates;
+        if (configuredPullRequestTemplates) {
+            configuredTemplates.push(...configuredPullRequestTemplates);
+        }
+        // The template chooser config is only managed if configured, i.e. an existing config is never deleted
+        const configuredIssueTemplateConfig = (repositoryConfig && repositoryConfig.issueTemplateConfig) || config.issueTemplateConfig;
+        if (configuredIssueTemplateConfig) {
+            configuredTemplates.push(configuredIssueTemplateConfig);
+        }
 
         const repoInfo = {
             owner: githubOrg.login,
@@ -185,12 +372,20 @@ commandRunner(async () => {
         // Load existing templates
         console.log('\tLoading all existing templates...');
         let repoIssueTemplateFilePaths = [];
+        let repoIssueTemplateConfigFilePath = null;
         try {
             const response = await limiter.schedule(() => octokit.rest.repos.getContent({
                 ...repoInfo,
                 path: GITHUB_ISSUE_TEMPLATE_DIR,
             }));
-            repoIssueTemplateFilePaths = response.data.filter(fileInfo => fileInfo.type === 'file').map(fileInfo => fileInfo.path);
+            const fileInfos = response.data.filter(fileInfo => fileInfo.type === 'file');
+            repoIssueTemplateFilePaths = fileInfos
+                .filter(fileInfo => !ISSUE_TEMPLATE_CONFIG_FILE_NAMES.includes(fileInfo.name))
+                .map(fileInfo => fileInfo.path);
+            const issueTemplateConfig = fileInfos.find(fileInfo => ISSUE_TEMPLATE_CONFIG_FILE_NAMES.includes(fileInfo.name));
+            if (issueTemplateConfig) {
+                repoIssueTemplateConfigFilePath = issueTemplateConfig.path;
+            }
         } catch (error) {
             // Ignore '404 Not found' errors, because they mean that no issue templates exist yet
             if (error.status !== 404) {
@@ -218,14 +413,33 @@ commandRunner(async () => {
             }
         }
 
+        let repoPullRequestTemplateFilePaths = [];
+        if (configuredPullRequestTemplates) {
+            try {
+                const response = await limiter.schedule(() => octokit.rest.repos.getContent({
+                    ...repoInfo,
+                    path: GITHUB_PR_TEMPLATE_DIR,
+                }));
+                repoPullRequestTemplateFilePaths = response.data
+                    .filter(fileInfo => fileInfo.type === 'file' && path.extname(fileInfo.name) === '.md')
+                    .map(fileInfo => fileInfo.path);
+            } catch (error) {
+                // Ignore '404 Not found' errors, because they mean that no named pull request templates exist yet
+                if (error.status !== 404) {
+                    console.error(`\t❌ Failed to load existing pull request templates of repository '${githubRepository.name}': ${error.message}`);
+
+                    return;
+                }
+            }
+        }
+
         try {
             // Load existing templates
             let repoTemplates = await Promise.all(repoIssueTemplateFilePaths.map(async (githubPath) => {
                 const template = await loadFileFromGithub(octokit, repoInfo, githubPath);
 
                 // Parse the template meta data
-                const rawMetaData = template.rawFileContent.split(/(\r?\n){2}---(\r?\n){2}/)[0];
-                template.metaData = yaml.load(rawMetaData);
+                template.metaData = parseTemplateMetaData(template);
 
                 return template;
             }));
@@ -238,55 +452,55 @@ commandRunner(async () => {
                 pullRequestTemplate.metaData = { name: PR_TEMPLATE_NAME };
                 repoTemplates.push(pullRequestTemplate);
             }
+            repoTemplates.push(...await Promise.all(repoPullRequestTemplateFilePaths.map(async (githubPath) => {
+                const pullRequestTemplate = await loadFileFromGithub(octokit, repoInfo, githubPath);
+                pullRequestTemplate.metaData = { name: `${PR_TEMPLATES_NAME_PREFIX}${path.basename(githubPath, '.md')}` };
+
+                return pullRequestTemplate;
+            })));
+            if (repoIssueTemplateConfigFilePath && configuredIssueTemplateConfig) {
+                const issueTemplateConfig = await loadFileFromGithub(
+                    octokit,
+                    repoInfo,
+                    repoIssueTemplateConfigFilePath,
+                );
+                issueTemplateConfig.metaData = { name: ISSUE_TEMPLATE_CONFIG_NAME };
+                repoTemplates.push(issueTemplateConfig);
+            }
 
             // Delete obsolete templates first, to free as many file names as possible
+            const changes = [];
             const repoTemplatesToDelete = repoTemplates.filter(repoTemplate => !configuredTemplates.find(template => template.name === repoTemplate.metaData.name));
-            await asyncSequence(repoTemplatesToDelete, async (repoTemplate) => {
+            repoTemplatesToDelete.forEach((repoTemplate) => {
                 const templateDescription = createTemplateDescription(repoTemplate.metaData.name);
-                console.log(`\tDeleting ${templateDescription}...`);
-                await limiter.schedule(() => octokit.rest.repos.deleteFile({
-                    ...repoInfo,
-                    path: repoTemplate.githubPath,
-                    message: `Delete ${templateDescription}`,
-                    sha: repoTemplate.fileSha,
-                }));
+                changes.push(planFileChange(octokit, repoInfo, templateDescription, repoTemplate.githubPath, repoTemplate, null));
             });
             repoTemplates = repoTemplates.filter(repoTemplate => !repoTemplatesToDelete.includes(repoTemplate));
 
             // Update changed templates (only description and content can change)
-            await asyncSequence(repoTemplates, async (repoTemplate) => {
+            repoTemplates.forEach((repoTemplate) => {
                 const configuredTemplate = configuredTemplates.find(template => template.name === repoTemplate.metaData.name);
                 if (!configuredTemplate) {
-                    return undefined;
+                    return;
                 }
 
                 const templateDescription = createTemplateDescription(repoTemplate.metaData.name);
 
                 // Compare the GitHub compatible template file with the current template file to prevent creating
                 // commits in case nothing changes
-                if (configuredTemplate.githubTemplateFile === repoTemplate.rawFileContent) {
+                const change = planFileChange(octokit, repoInfo, templateDescription, repoTemplate.githubPath, repoTemplate, configuredTemplate.githubTemplateFile);
+                if (!change) {
                     console.log(`\t${capitalizeString(templateDescription)} is up to date`);
 
-                    return undefined;
+                    return;
                 }
-
-                console.log(`\tUpdating ${templateDescription}...`);
-                await limiter.schedule(() => octokit.rest.repos.createOrUpdateFileContents({
-                    ...repoInfo,
-                    path: repoTemplate.githubPath,
-                    message: `Update ${templateDescription}`,
-                    content: Buffer.from(configuredTemplate.githubTemplateFile).toString('base64'),
-                    sha: repoTemplate.fileSha,
-                }));
-
-                return undefined;
+                changes.push(change);
             });
 
             // Add new templates
             const templatesToAdd = configuredTemplates.filter(template => !repoTemplates.find(repoTemplate => repoTemplate.metaData.name === template.name));
-            await asyncSequence(templatesToAdd, async (newTemplate) => {
+            templatesToAdd.forEach((newTemplate) => {
                 const templateDescription = createTemplateDescription(newTemplate.name);
-                console.log(`\tAdding ${templateDescription}...`);
 
                 // Find an available file name
                 let fileName = path.basename(newTemplate.templateFile);
@@ -298,15 +512,16 @@ commandRunner(async () => {
                     fileName = `${path.basename(fileName, extension)}-${suffixCounter}${extension}`;
                 }
 
-                await limiter.schedule(() => octokit.rest.repos.createOrUpdateFileContents({
-                    ...repoInfo,
-                    path: newTemplate.githubPath,
-                    message: `Add ${templateDescription}`,
-                    content: Buffer.from(newTemplate.githubTemplateFile).toString('base64'),
-                }));
+                changes.push(planFileChange(octokit, repoInfo, templateDescription, newTemplate.githubPath, null, newTemplate.githubTemplateFile));
             });
+
+            await plan.add(`repository '${githubRepository.name}'`, await planFileDelivery(octokit, githubRepository, changes, config.templateDelivery, {
+                commitMessage: 'Update issue and pull request templates',
+                branch: 'github-commander/templates',
+            }));
         } catch (error) {
             console.error(`\t❌ Failed to update issue and pull request templates in repository '${githubRepository.name}': ${error.message}`);
         }
     });
+    await plan.apply();
 });
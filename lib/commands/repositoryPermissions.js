@@ -6,16 +6,212 @@ const asyncSequence = require('../asyncSequence');
 const commandRunner = require('./commandRunner');
 const configReader = require('../configReader');
 const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
 const getAccessToken = require('../getAccessToken');
 const limiter = require('../limiter');
+const loadCustomRepositoryRoles = require('../loadCustomRepositoryRoles');
 const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
+const planTeamChanges = require('../planTeamChanges');
 const programVersion = require('../version');
 
+const BUILT_IN_PERMISSIONS = ['admin', 'maintain', 'push', 'triage', 'pull'];
+
+/**
+ * @param {Object} githubObject A repository or collaborator containing the `role_name` or `permissions` of the team or
+ *        user.
+ * @return {String|null}
+ */
+const getPermission = (githubObject) => {
+    if (githubObject.role_name) {
+        switch (githubObject.role_name) {
+            case 'read':
+                return 'pull';
+            case 'write':
+                return 'push';
+            default:
+                // Either a built-in or a custom repository role
+                return githubObject.role_name;
+        }
+    }
+    const { permissions } = githubObject;
+    if (!permissions) {
+        return null;
+    }
+
+    return BUILT_IN_PERMISSIONS.find(permission => permissions[permission]) || null;
+};
+
+/**
+ * Validates all custom repository roles used in the config against the custom roles of the org and replaces them with
+ * the role names defined in the org.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object} config
+ * @throws {Error} If a custom role does not exist in the org.
+ */
+const validateCustomRoles = async (octokit, githubOrg, config) => {
+    const permissionHolders = [
+        ...config.teams.map(team => ({
+            holder: team,
+            key: 'defaultPermission',
+        })),
+        ...config.repositories.reduce((holders, repository) => [
+            ...holders,
+            ...repository.teamPermissions.map(teamPermission => ({
+                holder: teamPermission,
+                key: 'permission',
+            })),
+            ...(repository.collaborators || []).map(collaborator => ({
+                holder: collaborator,
+                key: 'permission',
+            })),
+        ], []),
+    ];
+    const customRoles = await loadCustomRepositoryRoles(octokit, githubOrg, permissionHolders.map(({ holder, key }) => holder[key]));
+    permissionHolders
+        .filter(({ holder, key }) => customRoles.has(holder[key]))
+        .forEach(({ holder, key }) => {
+            holder[key] = customRoles.get(holder[key]).name;
+        });
+};
+
+/**
+ * Converts the permission of a repository invitation to the format used by the config.
+ *
+ * @param {String} invitationPermission
+ * @return {String}
+ */
+const parseInvitationPermission = (invitationPermission) => {
+    switch (invitationPermission) {
+        case 'read':
+            return 'pull';
+        case 'write':
+            return 'push';
+        default:
+            return invitationPermission;
+    }
+};
+
+/**
+ * Converts the passed permission to the format used by repository invitations.
+ *
+ * @param {String} permission
+ * @return {String}
+ */
+const formatInvitationPermission = (permission) => {
+    switch (permission) {
+        case 'pull':
+            return 'read';
+        case 'push':
+            return 'write';
+        default:
+            return permission;
+    }
+};
+
+/**
+ * Compares the direct collaborators and pending invitations of the repository with the passed collaborators and
+ * returns the changes necessary to invite missing collaborators, update wrong permissions and remove all other
+ * collaborators. Invitations of users that are not listed are only revoked if `revokeInvitations` is set.
+ *
+ * @param {Object} octokit
+ * @param {Object} repositoryParameters
+ * @param {Object[]} configCollaborators
+ * @param {Object} options
+ * @param {Boolean} options.revokeInvitations
+ * @return {Object[]}
+ */
+const planCollaboratorChanges = async (octokit, repositoryParameters, configCollaborators, { revokeInvitations }) => {
+    const githubCollaborators = await octokit.paginate(octokit.rest.repos.listCollaborators, {
+        ...repositoryParameters,
+        affiliation: 'direct',
+    });
+    const githubInvitations = await octokit.paginate(octokit.rest.repos.listInvitations, repositoryParameters);
+    githubInvitations.forEach((invitation) => {
+        console.log(`\tPending invitation of '${invitation.invitee.login}' with permission '${parseInvitationPermission(invitation.permissions)}'`);
+    });
+    const isUser = username => user => user.login.toLowerCase() === username.toLowerCase();
+
+    const changes = [];
+    configCollaborators.forEach((configCollaborator) => {
+        const description = `collaborator '${configCollaborator.username}'`;
+        const githubCollaborator = githubCollaborators.find(isUser(configCollaborator.username));
+        const invitation = githubInvitations.find(anyInvitation => isUser(configCollaborator.username)(anyInvitation.invitee));
+        const currentPermission = githubCollaborator ? getPermission(githubCollaborator) : null;
+        if (githubCollaborator && currentPermission === configCollaborator.permission) {
+            return;
+        }
+        if (invitation) {
+            // Update the permission of the pending invitation instead of inviting the user again
+            const invitationPermission = parseInvitationPermission(invitation.permissions);
+            if (invitationPermission !== configCollaborator.permission) {
+                changes.push({
+                    action: 'update',
+                    description: `invitation of '${configCollaborator.username}'`,
+                    details: [Plan.formatValueChange('permission', invitationPermission, configCollaborator.permission)],
+                    apply: () => limiter.schedule(() => octokit.rest.repos.updateInvitation({
+                        ...repositoryParameters,
+                        invitation_id: invitation.id,
+                        permissions: formatInvitationPermission(configCollaborator.permission),
+                    })),
+                });
+            }
+
+            return;
+        }
+
+        changes.push({
+            action: githubCollaborator ? 'update' : 'create',
+            description,
+            details: [Plan.formatValueChange('permission', currentPermission, configCollaborator.permission)],
+            apply: () => limiter.schedule(() => octokit.rest.repos.addCollaborator({
+                ...repositoryParameters,
+                username: configCollaborator.username,
+                permission: configCollaborator.permission,
+            })),
+        });
+    });
+
+    const isConfigured = user => configCollaborators.find(configCollaborator => isUser(configCollaborator.username)(user));
+    githubCollaborators.filter(githubCollaborator => !isConfigured(githubCollaborator)).forEach((githubCollaborator) => {
+        changes.push({
+            action: 'delete',
+            description: `collaborator '${githubCollaborator.login}'`,
+            details: [Plan.formatValueChange('permission', getPermission(githubCollaborator), null)],
+            apply: () => limiter.schedule(() => octokit.rest.repos.removeCollaborator({
+                ...repositoryParameters,
+                username: githubCollaborator.login,
+            })),
+        });
+    });
+    if (revokeInvitations) {
+        githubInvitations.filter(invitation => !isConfigured(invitation.invitee)).forEach((invitation) => {
+            changes.push({
+                action: 'delete',
+                description: `invitation of '${invitation.invitee.login}'`,
+                apply: () => limiter.schedule(() => octokit.rest.repos.deleteInvitation({
+                    ...repositoryParameters,
+                    invitation_id: invitation.id,
+                })),
+            });
+        });
+    }
+
+    return changes;
+};
+
 // Define CLI
 program
     .version(programVersion)
     .arguments('<config_file>')
     .option('--clear-collaborators', 'Set this option to clear the collaborators of all repositories (unless exempt in configuration).')
+    .option('--revoke-invitations', 'Set this option to revoke all pending repository invitations of users that are not configured as collaborators.')
+    .option('--delete-teams', 'Set this option to delete all teams of the organization that are not configured.')
+    .option('--remove-unlisted-members', 'Set this option to remove all members from configured teams that are not listed in the team\'s \'members\' or \'maintainers\'.')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
     .parse(process.argv);
 
 // Run command
@@ -39,6 +235,9 @@ commandRunner(async () => {
     // Check whether the user has access to the org selected in the config
     const githubOrg = await findOrganization(octokit, config.orgName);
 
+    // Make sure that all custom repository roles used in the config exist
+    await validateCustomRoles(octokit, githubOrg, config);
+
     // Fetch the org's teams
     console.log('Loading available teams...');
     const allGithubTeams = await octokit.paginate(octokit.rest.teams.list, {
@@ -46,13 +245,38 @@ commandRunner(async () => {
     });
     console.log(`\t${allGithubTeams.length} teams found`);
 
-    // Make sure that all configured teams exist
-    // TODO: Create and delete teams to match configuration (maybe protect with CLI arg)
-    config.teams.forEach((configTeam) => {
-        configTeam.githubTeam = allGithubTeams.find(team => team.name === configTeam.name);
+    // Create, update and delete teams to match the configuration
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+    });
+    const teamChanges = await planTeamChanges(octokit, githubOrg, config.teams, allGithubTeams, {
+        deleteTeams: program.opts().deleteTeams === true,
+        removeUnlistedMembers: program.opts().removeUnlistedMembers === true,
+    });
+    if (!program.opts().plan) {
+        if (teamChanges.length > 0) {
+            console.log('Team changes:');
+            Plan.printChanges(teamChanges);
+        } else {
+            console.log('\tAll teams are up to date');
+        }
+    }
+    await plan.add(`teams of organization '${githubOrg.login}'`, teamChanges);
+
+    // Load the repository permissions of all configured teams (teams that do not exist yet have no permissions)
+    console.log('Loading current team permissions...');
+    await asyncSequence(config.teams, async (configTeam) => {
         if (!configTeam.githubTeam) {
-            throw new Error(`Team '${configTeam.name}' cannot be found in org '${githubOrg.login}'! Please create it manually and try again.`);
+            configTeam.githubPermissions = new Map();
+
+            return;
         }
+        const teamRepositories = await octokit.paginate(octokit.rest.teams.listReposInOrg, {
+            org: githubOrg.login,
+            team_slug: configTeam.githubTeam.slug,
+        });
+        configTeam.githubPermissions = new Map(teamRepositories.map(repository => [repository.name, getPermission(repository)]));
     });
 
     // Fetch the org's repositories
@@ -64,28 +288,28 @@ commandRunner(async () => {
 
     // Update all team permissions on all repositories
     await asyncSequence(allGithubRepositories, async (githubRepository) => {
-        console.log(`Updating team permissions of repository '${githubRepository.name}':`);
-        const configRepository = config.repositories.find(repository => repository.name === githubRepository.name);
+        console.log(`Updating permissions of repository '${githubRepository.name}':`);
+        const configRepository = findRepositoryConfig(config.repositories, githubRepository);
 
         const repositoryParameters = {
             owner: githubOrg.login,
             repo: githubRepository.name,
         };
+        const changes = [];
 
-        if (program.opts().clearCollaborators === true && (!configRepository || configRepository.clearCollaborators !== false)) {
+        if (configRepository && configRepository.collaborators) {
+            // Reconcile the collaborators of the repository with the configured ones
+            changes.push(...await planCollaboratorChanges(octokit, repositoryParameters, configRepository.collaborators, {
+                revokeInvitations: program.opts().revokeInvitations === true,
+            }));
+        } else if (program.opts().clearCollaborators === true && (!configRepository || configRepository.clearCollaborators !== false)) {
             // Clear all collaborators of the repository
-            console.log('\tClearing collaborators...');
-            const repositoryCollaborators = await octokit.paginate(
-                octokit.rest.repos.listCollaborators,
-                repositoryParameters,
-            );
-            await Promise.all(repositoryCollaborators.map(collaborator => octokit.rest.repos.removeCollaborator({
-                ...repositoryParameters,
-                username: collaborator.login,
-            })));
+            changes.push(...await planCollaboratorChanges(octokit, repositoryParameters, [], {
+                revokeInvitations: program.opts().revokeInvitations === true,
+            }));
         }
 
-        return Promise.all(config.teams.map(async (configTeam) => {
+        config.teams.forEach((configTeam) => {
             // Determine the team's permissions for the repository
             let repositoryPermission = configTeam.defaultPermission;
             if (configRepository) {
@@ -95,37 +319,43 @@ commandRunner(async () => {
                     repositoryPermission = configTeamPermission.permission;
                 }
             }
+            const currentPermission = configTeam.githubPermissions.get(githubRepository.name) || null;
+            if (repositoryPermission === currentPermission) {
+                return;
+            }
 
-            const defaultParameters = {
+            // Determine the team slug lazily, since the team might only be created when applying the plan
+            const getDefaultParameters = () => ({
                 org: githubOrg.login,
                 team_slug: configTeam.githubTeam.slug,
                 ...repositoryParameters,
-            };
+            });
+            const description = `permission of team '${configTeam.name}'`;
+            const details = [Plan.formatValueChange('permission', currentPermission, repositoryPermission)];
 
             if (repositoryPermission !== null) {
                 // Add/update team permission
-                console.log(`\tSetting permission of team '${configTeam.name}' to '${repositoryPermission}'...`);
-
-                return limiter.schedule(() => octokit.rest.teams.addOrUpdateRepoPermissionsInOrg({
-                    ...defaultParameters,
-                    permission: repositoryPermission,
-                }));
-            }
-
-            // Remove team permission, if set
-            console.log(`\tRemoving all permissions of team '${configTeam.name}'...`);
-            try {
-                await limiter.schedule(() => octokit.rest.teams.checkPermissionsForRepoInOrg(defaultParameters));
-            } catch (error) {
-                if (error.status === 404) {
-                    // Team does not have any permissions for the repository
-                    return null;
-                }
-
-                throw error;
+                changes.push({
+                    action: (currentPermission === null) ? 'create' : 'update',
+                    description,
+                    details,
+                    apply: () => limiter.schedule(() => octokit.rest.teams.addOrUpdateRepoPermissionsInOrg({
+                        ...getDefaultParameters(),
+                        permission: repositoryPermission,
+                    })),
+                });
+            } else {
+                // Remove team permission
+                changes.push({
+                    action: 'delete',
+                    description,
+                    details,
+                    apply: () => limiter.schedule(() => octokit.rest.teams.removeRepoInOrg(getDefaultParameters())),
+                });
             }
+        });
 
-            return limiter.schedule(() => octokit.rest.teams.removeRepoInOrg(defaultParameters));
-        }));
+        await plan.add(`repository '${githubRepository.name}'`, changes);
     });
+    await plan.apply();
 });
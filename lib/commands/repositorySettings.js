@@ -1,19 +1,735 @@
 #!/usr/bin/env node
 
+const fs = require('mz/fs');
 const path = require('path');
 const { program } = require('commander');
 const asyncSequence = require('../asyncSequence');
 const commandRunner = require('./commandRunner');
 const configReader = require('../configReader');
 const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
 const getAccessToken = require('../getAccessToken');
+const limiter = require('../limiter');
 const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
+const planRulesetChanges = require('../planRulesetChanges');
 const programVersion = require('../version');
 
+/**
+ * The general repository settings that can be configured, mapped to their names in the GitHub API.
+ */
+const GENERAL_SETTINGS = {
+    description: 'description',
+    homepage: 'homepage',
+    visibility: 'visibility',
+    defaultBranch: 'default_branch',
+    hasIssues: 'has_issues',
+    hasWiki: 'has_wiki',
+    hasProjects: 'has_projects',
+    hasDiscussions: 'has_discussions',
+    allowMergeCommit: 'allow_merge_commit',
+    allowSquashMerge: 'allow_squash_merge',
+    allowRebaseMerge: 'allow_rebase_merge',
+    squashMergeCommitTitle: 'squash_merge_commit_title',
+    squashMergeCommitMessage: 'squash_merge_commit_message',
+    allowAutoMerge: 'allow_auto_merge',
+    deleteBranchOnMerge: 'delete_branch_on_merge',
+};
+
+/**
+ * The security and analysis settings that are part of the `security_and_analysis` of a repository, mapped to their
+ * names in the GitHub API.
+ */
+const SECURITY_AND_ANALYSIS_SETTINGS = {
+    dependabotSecurityUpdates: 'dependabot_security_updates',
+    secretScanning: 'secret_scanning',
+    secretScanningPushProtection: 'secret_scanning_push_protection',
+};
+
+const BRANCH_PROTECTION_RULE_FIELDS = `
+    id
+    pattern
+    requiresApprovingReviews
+    requiredApprovingReviewCount
+    dismissesStaleReviews
+    requiresCodeOwnerReviews
+    bypassPullRequestAllowances(first: 100) {
+        nodes {
+            actor {
+                type: __typename
+                ... on User { login }
+                ... on Team { slug }
+                ... on App { slug }
+            }
+        }
+    }
+    requiresStatusChecks
+    requiresStrictStatusChecks
+    requiredStatusCheckContexts
+    restrictsPushes
+    pushAllowances(first: 100) {
+        nodes {
+            actor {
+                type: __typename
+                ... on User { login }
+                ... on Team { slug }
+                ... on App { slug }
+            }
+        }
+    }
+    isAdminEnforced
+    requiresLinearHistory
+    allowsForcePushes
+    allowsDeletions
+    requiresConversationResolution
+    requiresCommitSignatures
+`;
+
+/**
+ * @param {String[]} names
+ * @return {String[]}
+ */
+const normalizeNames = names => (names || []).map(name => name.toLowerCase()).sort();
+
+/**
+ * @param {Object|undefined} actors
+ * @return {Object}
+ */
+const createActorLists = (actors = {}) => ({
+    users: normalizeNames(actors.users),
+    teams: normalizeNames(actors.teams),
+    apps: normalizeNames(actors.apps),
+});
+
+/**
+ * Converts the actor allowances returned by the GitHub GraphQL API to the same format as `createActorLists()`.
+ *
+ * @param {Object|null} githubAllowances
+ * @return {Object}
+ */
+const parseGithubActorLists = (githubAllowances) => {
+    const actors = ((githubAllowances && githubAllowances.nodes) || []).map(allowance => allowance.actor).filter(actor => actor);
+
+    return createActorLists({
+        users: actors.filter(actor => actor.type === 'User').map(actor => actor.login),
+        teams: actors.filter(actor => actor.type === 'Team').map(actor => actor.slug),
+        apps: actors.filter(actor => actor.type === 'App').map(actor => actor.slug),
+    });
+};
+
+/**
+ * Creates the expected settings of the branch protection rule described by the passed config, using the names of the
+ * GitHub GraphQL API. Settings that only apply to disabled options are `null`.
+ *
+ * @param {Object} branchConfig
+ * @return {Object}
+ */
+const createRuleConfig = (branchConfig) => {
+    const reviewConfig = branchConfig.requireReviews;
+    const statusCheckConfig = branchConfig.requireStatusChecks;
+    let requiredApprovingReviewCount = null;
+    if (reviewConfig) {
+        // GitHub requires one approving review by default
+        requiredApprovingReviewCount = ('requiredApprovingReviewCount' in reviewConfig) ? reviewConfig.requiredApprovingReviewCount : 1;
+    }
+
+    return {
+        requiresApprovingReviews: !!reviewConfig,
+        requiredApprovingReviewCount,
+        dismissesStaleReviews: reviewConfig ? reviewConfig.dismissApprovalWhenChanged === true : null,
+        requiresCodeOwnerReviews: reviewConfig ? reviewConfig.requireCodeOwnerReview === true : null,
+        bypassPullRequestAllowances: reviewConfig ? createActorLists(reviewConfig.bypassAllowances) : null,
+        requiresStatusChecks: !!statusCheckConfig,
+        requiresStrictStatusChecks: statusCheckConfig ? statusCheckConfig.requireBranchUpToDate === true : null,
+        requiredStatusCheckContexts: statusCheckConfig ? [...statusCheckConfig.statusChecks].sort() : null,
+        restrictsPushes: !!branchConfig.restrictions,
+        pushAllowances: branchConfig.restrictions ? createActorLists(branchConfig.restrictions) : null,
+        isAdminEnforced: branchConfig.enforceAdmins === true,
+        requiresLinearHistory: branchConfig.requireLinearHistory === true,
+        allowsForcePushes: branchConfig.allowForcePushes === true,
+        allowsDeletions: branchConfig.allowDeletions === true,
+        requiresConversationResolution: branchConfig.requireConversationResolution === true,
+        requiresCommitSignatures: branchConfig.requireSignatures === true,
+    };
+};
+
+/**
+ * Converts the branch protection rule returned by the GitHub GraphQL API to the same format as `createRuleConfig()`.
+ *
+ * @param {Object} githubRule
+ * @return {Object}
+ */
+const parseGithubRule = githubRule => ({
+    requiresApprovingReviews: githubRule.requiresApprovingReviews,
+    requiredApprovingReviewCount: githubRule.requiresApprovingReviews ? githubRule.requiredApprovingReviewCount : null,
+    dismissesStaleReviews: githubRule.requiresApprovingReviews ? githubRule.dismissesStaleReviews : null,
+    requiresCodeOwnerReviews: githubRule.requiresApprovingReviews ? githubRule.requiresCodeOwnerReviews : null,
+    bypassPullRequestAllowances: githubRule.requiresApprovingReviews ? parseGithubActorLists(githubRule.bypassPullRequestAllowances) : null,
+    requiresStatusChecks: githubRule.requiresStatusChecks,
+    requiresStrictStatusChecks: githubRule.requiresStatusChecks ? githubRule.requiresStrictStatusChecks : null,
+    requiredStatusCheckContexts: githubRule.requiresStatusChecks ? [...(githubRule.requiredStatusCheckContexts || [])].sort() : null,
+    restrictsPushes: githubRule.restrictsPushes,
+    pushAllowances: githubRule.restrictsPushes ? parseGithubActorLists(githubRule.pushAllowances) : null,
+    isAdminEnforced: githubRule.isAdminEnforced,
+    requiresLinearHistory: githubRule.requiresLinearHistory,
+    allowsForcePushes: githubRule.allowsForcePushes,
+    allowsDeletions: githubRule.allowsDeletions,
+    requiresConversationResolution: githubRule.requiresConversationResolution,
+    requiresCommitSignatures: githubRule.requiresCommitSignatures,
+});
+
+/**
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {String|null} cursor
+ * @return {Object[]}
+ */
+const loadBranchProtectionRules = async (octokit, githubRepository, cursor = null) => {
+    const { repository: { branchProtectionRules } } = await limiter.schedule(() => octokit.graphql(
+        `query BranchProtectionRules($owner: String!, $name: String!, $cursor: String) {
+            repository(owner: $owner, name: $name) {
+                branchProtectionRules(first: 100, after: $cursor) {
+                    pageInfo {
+                        hasNextPage
+                        endCursor
+                    }
+                    nodes {
+                        ${BRANCH_PROTECTION_RULE_FIELDS}
+                    }
+                }
+            }
+        }`,
+        {
+            owner: githubRepository.owner.login,
+            name: githubRepository.name,
+            cursor,
+        },
+    ));
+    if (!branchProtectionRules.pageInfo.hasNextPage) {
+        return branchProtectionRules.nodes;
+    }
+
+    return [
+        ...branchProtectionRules.nodes,
+        ...await loadBranchProtectionRules(octokit, githubRepository, branchProtectionRules.pageInfo.endCursor),
+    ];
+};
+
+/**
+ * Returns a function that resolves the node IDs of users, teams and apps, which are required by the GraphQL API to
+ * configure push and bypass allowances. Resolved IDs are cached for the whole run.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @return {Function}
+ */
+const createActorIdResolver = (octokit, githubOrg) => {
+    const cache = new Map();
+    const loaders = {
+        users: username => octokit.rest.users.getByUsername({ username }),
+        teams: teamSlug => octokit.rest.teams.getByName({
+            org: githubOrg.login,
+            team_slug: teamSlug,
+        }),
+        apps: appSlug => octokit.rest.apps.getBySlug({ app_slug: appSlug }),
+    };
+
+    return async (actors) => {
+        const ids = [];
+        await asyncSequence(Object.keys(loaders), type => asyncSequence(actors[type], async (name) => {
+            const cacheKey = `${type}/${name}`;
+            if (!cache.has(cacheKey)) {
+                const { data } = await limiter.schedule(() => loaders[type](name));
+                cache.set(cacheKey, data.node_id);
+            }
+            ids.push(cache.get(cacheKey));
+        }));
+
+        return ids;
+    };
+};
+
+/**
+ * Creates the input of a mutation that creates or updates a branch protection rule based on the passed rule config
+ * (see `createRuleConfig()`).
+ *
+ * @param {Object} ruleConfig
+ * @param {Function} resolveActorIds
+ * @return {Object}
+ */
+const createRuleInput = async (ruleConfig, resolveActorIds) => {
+    const { bypassPullRequestAllowances, pushAllowances, ...settings } = ruleConfig;
+    const input = Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== null));
+    if (bypassPullRequestAllowances) {
+        input.bypassPullRequestActorIds = await resolveActorIds(bypassPullRequestAllowances);
+    }
+    if (pushAllowances) {
+        input.pushActorIds = await resolveActorIds(pushAllowances);
+    }
+
+    return input;
+};
+
+/**
+ * Compares the configured general settings with the settings of the passed GitHub repository and returns the change
+ * necessary to update all differing settings, if any.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {Object} generalSettings
+ * @return {Object|null}
+ */
+const planGeneralSettingsChange = async (octokit, githubRepository, generalSettings) => {
+    // The repositories returned by 'listForOrg' don't contain all settings, hence load the full repository
+    const { data: fullGithubRepository } = await limiter.schedule(() => octokit.rest.repos.get({
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    }));
+    const currentSettings = {};
+    Object.keys(generalSettings).forEach((key) => {
+        const value = fullGithubRepository[GENERAL_SETTINGS[key]];
+        // GitHub returns 'null' for empty texts
+        currentSettings[key] = (value === null && typeof generalSettings[key] === 'string') ? '' : value;
+    });
+    const changedKeys = Object.keys(generalSettings).filter(key => !Plan.isEqualValue(currentSettings[key], generalSettings[key]));
+    if (changedKeys.length === 0) {
+        return null;
+    }
+
+    // GitHub validates the squash commit title and message together, hence always send both of them
+    const parameters = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    changedKeys.forEach((key) => {
+        parameters[GENERAL_SETTINGS[key]] = generalSettings[key];
+    });
+    if (changedKeys.includes('squashMergeCommitTitle') || changedKeys.includes('squashMergeCommitMessage')) {
+        parameters.squash_merge_commit_title = generalSettings.squashMergeCommitTitle || fullGithubRepository.squash_merge_commit_title;
+        parameters.squash_merge_commit_message = generalSettings.squashMergeCommitMessage || fullGithubRepository.squash_merge_commit_message;
+    }
+
+    return {
+        action: 'update',
+        description: 'general settings',
+        details: changedKeys.map(key => Plan.formatValueChange(key, currentSettings[key], generalSettings[key])),
+        apply: () => limiter.schedule(() => octokit.rest.repos.update(parameters)),
+    };
+};
+
+/**
+ * Compares the configured topics with the topics of the passed GitHub repository and returns the change necessary to
+ * make them match, if any. In `additive` mode, topics that are not configured are kept.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {String[]} topics
+ * @param {String} mode
+ * @return {Object|null}
+ */
+const planTopicsChange = async (octokit, githubRepository, topics, mode) => {
+    const repositoryParameters = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    const { data: { names: currentTopics } } = await limiter.schedule(() => octokit.rest.repos.getAllTopics(repositoryParameters));
+    const expectedTopics = [...new Set((mode === 'additive') ? [...currentTopics, ...topics] : topics)].sort();
+    const addedTopics = expectedTopics.filter(topic => !currentTopics.includes(topic));
+    const removedTopics = currentTopics.filter(topic => !expectedTopics.includes(topic));
+    if (addedTopics.length === 0 && removedTopics.length === 0) {
+        return null;
+    }
+
+    const details = [];
+    if (addedTopics.length > 0) {
+        details.push(`added: ${addedTopics.join(', ')}`);
+    }
+    if (removedTopics.length > 0) {
+        details.push(`removed: ${removedTopics.join(', ')}`);
+    }
+
+    return {
+        action: 'update',
+        description: 'topics',
+        details,
+        apply: () => limiter.schedule(() => octokit.rest.repos.replaceAllTopics({
+            ...repositoryParameters,
+            names: expectedTopics,
+        })),
+    };
+};
+
+/**
+ * Compares the configured webhooks with the webhooks of the passed GitHub repository and returns the changes necessary
+ * to create missing and update changed webhooks. Webhooks are identified by their URL. If the webhooks are exhaustive,
+ * webhooks that are not configured are deleted. Since GitHub does not return the secrets of webhooks, only whether a
+ * webhook has a secret or not is compared, hence configured secrets are only sent again if `updateSecrets` is true.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {Object[]} webhooks
+ * @param {Object} options
+ * @param {Boolean} options.exhaustive
+ * @param {Boolean} options.updateSecrets
+ * @return {Object[]}
+ */
+const planWebhookChanges = async (octokit, githubRepository, webhooks, { exhaustive, updateSecrets }) => {
+    const repositoryParameters = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    const githubWebhooks = (await octokit.paginate(octokit.rest.repos.listWebhooks, repositoryParameters))
+        .filter(githubWebhook => githubWebhook.config && githubWebhook.config.url);
+    const createComparableWebhook = (webhook, hasSecret) => ({
+        content_type: webhook.config.content_type,
+        events: [...webhook.events].sort(),
+        active: webhook.active,
+        secret: hasSecret ? 'set' : 'not set',
+    });
+
+    const changes = [];
+    webhooks.forEach((webhook) => {
+        // The environment variables of all secrets are ensured to be set before changing any repository
+        const secret = webhook.secretFromEnv ? process.env[webhook.secretFromEnv] : undefined;
+        const expectedWebhook = {
+            config: {
+                url: webhook.url,
+                content_type: webhook.contentType || 'json',
+                ...(secret ? { secret } : {}),
+            },
+            events: webhook.events || ['push'],
+            active: webhook.active !== false,
+        };
+        const description = `webhook '${webhook.url}'`;
+        const githubWebhook = githubWebhooks.find(anyWebhook => anyWebhook.config.url === webhook.url);
+        if (!githubWebhook) {
+            changes.push({
+                action: 'create',
+                description,
+                details: Plan.formatObjectChanges(null, createComparableWebhook(expectedWebhook, !!secret)),
+                apply: () => limiter.schedule(() => octokit.rest.repos.createWebhook({
+                    ...repositoryParameters,
+                    name: 'web',
+                    ...expectedWebhook,
+                })),
+            });
+
+            return;
+        }
+
+        const details = Plan.formatObjectChanges(
+            createComparableWebhook(githubWebhook, 'secret' in githubWebhook.config),
+            createComparableWebhook(expectedWebhook, !!secret),
+        );
+        if (details.length === 0 && secret && updateSecrets) {
+            details.push('secret: sent again');
+        }
+        if (details.length > 0) {
+            changes.push({
+                action: 'update',
+                description,
+                details,
+                apply: () => limiter.schedule(() => octokit.rest.repos.updateWebhook({
+                    ...repositoryParameters,
+                    hook_id: githubWebhook.id,
+                    ...expectedWebhook,
+                })),
+            });
+        }
+    });
+
+    if (exhaustive) {
+        githubWebhooks
+            .filter(githubWebhook => !webhooks.find(webhook => webhook.url === githubWebhook.config.url))
+            .forEach((githubWebhook) => {
+                changes.push({
+                    action: 'delete',
+                    description: `webhook '${githubWebhook.config.url}'`,
+                    apply: () => limiter.schedule(() => octokit.rest.repos.deleteWebhook({
+                        ...repositoryParameters,
+                        hook_id: githubWebhook.id,
+                    })),
+                });
+            });
+    }
+
+    return changes;
+};
+
+/**
+ * Compares the configured security and analysis settings with the settings of the passed GitHub repository and returns
+ * the changes necessary to enable or disable all differing settings. Settings that cannot be applied to the
+ * repository, e.g. because of its plan or visibility, are passed to `reportUnavailableSetting` instead of failing,
+ * both if GitHub does not offer them for the repository and if GitHub rejects applying them.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {Object} securityConfig
+ * @param {Function} reportUnavailableSetting Called with the name of the setting and the reason.
+ * @return {Object[]}
+ */
+const planSecurityChanges = async (octokit, githubRepository, securityConfig, reportUnavailableSetting) => {
+    const repositoryParameters = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    const applyOrReport = (keys, apply) => async () => {
+        try {
+            await apply();
+        } catch (error) {
+            if (![403, 422].includes(error.status)) {
+                throw error;
+            }
+            keys.forEach(key => reportUnavailableSetting(key, error.message));
+        }
+    };
+
+    let vulnerabilityAlertsChange = null;
+    if ('vulnerabilityAlerts' in securityConfig) {
+        // GitHub responds with 404 if vulnerability alerts are disabled
+        let vulnerabilityAlertsEnabled = true;
+        try {
+            await limiter.schedule(() => octokit.rest.repos.checkVulnerabilityAlerts(repositoryParameters));
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+            vulnerabilityAlertsEnabled = false;
+        }
+        if (vulnerabilityAlertsEnabled !== securityConfig.vulnerabilityAlerts) {
+            vulnerabilityAlertsChange = {
+                action: 'update',
+                description: 'vulnerability alerts',
+                details: [Plan.formatValueChange('vulnerabilityAlerts', vulnerabilityAlertsEnabled, securityConfig.vulnerabilityAlerts)],
+                apply: applyOrReport(['vulnerabilityAlerts'], () => limiter.schedule(() => (securityConfig.vulnerabilityAlerts
+                    ? octokit.rest.repos.enableVulnerabilityAlerts(repositoryParameters)
+                    : octokit.rest.repos.disableVulnerabilityAlerts(repositoryParameters)))),
+            };
+        }
+    }
+
+    let securityAndAnalysisChange = null;
+    const keys = Object.keys(SECURITY_AND_ANALYSIS_SETTINGS).filter(key => key in securityConfig);
+    if (keys.length > 0) {
+        // GitHub only returns the settings that are available for the repository
+        const { data: fullGithubRepository } = await limiter.schedule(() => octokit.rest.repos.get(repositoryParameters));
+        const currentSettings = fullGithubRepository.security_and_analysis || {};
+        const changedKeys = keys.filter((key) => {
+            if (!currentSettings[SECURITY_AND_ANALYSIS_SETTINGS[key]]) {
+                reportUnavailableSetting(key, 'The setting is not available for this repository.');
+
+                return false;
+            }
+
+            return (currentSettings[SECURITY_AND_ANALYSIS_SETTINGS[key]].status === 'enabled') !== securityConfig[key];
+        });
+        if (changedKeys.length > 0) {
+            const securityAndAnalysis = {};
+            changedKeys.forEach((key) => {
+                securityAndAnalysis[SECURITY_AND_ANALYSIS_SETTINGS[key]] = {
+                    status: securityConfig[key] ? 'enabled' : 'disabled',
+                };
+            });
+            securityAndAnalysisChange = {
+                action: 'update',
+                description: 'security and analysis settings',
+                details: changedKeys.map(key => Plan.formatValueChange(key, !securityConfig[key], securityConfig[key])),
+                apply: applyOrReport(changedKeys, () => limiter.schedule(() => octokit.rest.repos.update({
+                    ...repositoryParameters,
+                    security_and_analysis: securityAndAnalysis,
+                }))),
+            };
+        }
+    }
+
+    // Dependabot security updates require vulnerability alerts, hence enable the latter first and disable them last
+    const changes = securityConfig.vulnerabilityAlerts
+        ? [vulnerabilityAlertsChange, securityAndAnalysisChange]
+        : [securityAndAnalysisChange, vulnerabilityAlertsChange];
+
+    return changes.filter(change => change !== null);
+};
+
+/**
+ * Returns the passed public SSH key without its comment, which GitHub does not store.
+ *
+ * @param {String} key
+ * @return {String}
+ */
+const normalizePublicKey = key => key.trim().split(/\s+/).slice(0, 2).join(' ');
+
+/**
+ * Compares the configured deploy keys with the deploy keys of the passed GitHub repository and returns the changes
+ * necessary to create missing deploy keys and replace changed deploy keys. If the deploy keys are exhaustive, deploy
+ * keys that are not configured are deleted. Deploy keys are identified by their title and cannot be updated, hence
+ * changed keys are deleted and created again.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {Object[]} deployKeys
+ * @param {Boolean} exhaustive
+ * @return {Object[]}
+ */
+const planDeployKeyChanges = async (octokit, githubRepository, deployKeys, exhaustive) => {
+    const repositoryParameters = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    const githubDeployKeys = await octokit.paginate(octokit.rest.repos.listDeployKeys, repositoryParameters);
+    const deleteDeployKey = githubDeployKey => limiter.schedule(() => octokit.rest.repos.deleteDeployKey({
+        ...repositoryParameters,
+        key_id: githubDeployKey.id,
+    }));
+
+    const changes = [];
+    await asyncSequence(deployKeys, async (deployKey) => {
+        if (!await fs.exists(deployKey.keyFile)) {
+            throw new Error(`The key file ${deployKey.keyFile} of deploy key '${deployKey.title}' does not exist!`);
+        }
+        const expectedDeployKey = {
+            key: normalizePublicKey(await fs.readFile(deployKey.keyFile, 'utf8')),
+            readOnly: deployKey.readOnly !== false,
+        };
+        const createDeployKey = () => limiter.schedule(() => octokit.rest.repos.createDeployKey({
+            ...repositoryParameters,
+            title: deployKey.title,
+            key: expectedDeployKey.key,
+            read_only: expectedDeployKey.readOnly,
+        }));
+        const description = `deploy key '${deployKey.title}'`;
+        const githubDeployKey = githubDeployKeys.find(anyDeployKey => anyDeployKey.title === deployKey.title);
+        if (!githubDeployKey) {
+            changes.push({
+                action: 'create',
+                description,
+                details: [Plan.formatValueChange('readOnly', null, expectedDeployKey.readOnly)],
+                apply: createDeployKey,
+            });
+
+            return;
+        }
+
+        const details = [];
+        if (normalizePublicKey(githubDeployKey.key) !== expectedDeployKey.key) {
+            details.push('key changed');
+        }
+        if (githubDeployKey.read_only !== expectedDeployKey.readOnly) {
+            details.push(Plan.formatValueChange('readOnly', githubDeployKey.read_only, expectedDeployKey.readOnly));
+        }
+        if (details.length > 0) {
+            changes.push({
+                action: 'update',
+                description: `${description} (replaced)`,
+                details,
+                apply: async () => {
+                    await deleteDeployKey(githubDeployKey);
+                    await createDeployKey();
+                },
+            });
+        }
+    });
+
+    githubDeployKeys
+        .filter(githubDeployKey => exhaustive && !deployKeys.find(deployKey => deployKey.title === githubDeployKey.title))
+        .forEach((githubDeployKey) => {
+            changes.push({
+                action: 'delete',
+                description: `deploy key '${githubDeployKey.title}'`,
+                apply: () => deleteDeployKey(githubDeployKey),
+            });
+        });
+
+    return changes;
+};
+
+/**
+ * Compares the configured autolink references with the autolinks of the passed GitHub repository and returns the
+ * changes necessary to create missing autolinks and replace changed autolinks. If the autolinks are exhaustive,
+ * autolinks that are not configured are deleted. Autolinks are identified by their key prefix and cannot be updated,
+ * hence changed autolinks are deleted and created again.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {Object[]} autolinks
+ * @param {Boolean} exhaustive
+ * @return {Object[]}
+ */
+const planAutolinkChanges = async (octokit, githubRepository, autolinks, exhaustive) => {
+    const repositoryParameters = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    const githubAutolinks = await octokit.paginate(octokit.rest.repos.listAutolinks, repositoryParameters);
+    const deleteAutolink = githubAutolink => limiter.schedule(() => octokit.rest.repos.deleteAutolink({
+        ...repositoryParameters,
+        autolink_id: githubAutolink.id,
+    }));
+
+    const changes = [];
+    autolinks.forEach((autolink) => {
+        const expectedAutolink = {
+            urlTemplate: autolink.urlTemplate,
+            isAlphanumeric: autolink.isAlphanumeric !== false,
+        };
+        const createAutolink = () => limiter.schedule(() => octokit.rest.repos.createAutolink({
+            ...repositoryParameters,
+            key_prefix: autolink.keyPrefix,
+            url_template: expectedAutolink.urlTemplate,
+            is_alphanumeric: expectedAutolink.isAlphanumeric,
+        }));
+        const description = `autolink '${autolink.keyPrefix}'`;
+        const githubAutolink = githubAutolinks.find(anyAutolink => anyAutolink.key_prefix === autolink.keyPrefix);
+        if (!githubAutolink) {
+            changes.push({
+                action: 'create',
+                description,
+                details: Plan.formatObjectChanges(null, expectedAutolink),
+                apply: createAutolink,
+            });
+
+            return;
+        }
+
+        const details = Plan.formatObjectChanges(
+            {
+                urlTemplate: githubAutolink.url_template,
+                isAlphanumeric: githubAutolink.is_alphanumeric,
+            },
+            expectedAutolink,
+        );
+        if (details.length > 0) {
+            changes.push({
+                action: 'update',
+                description: `${description} (replaced)`,
+                details,
+                apply: async () => {
+                    await deleteAutolink(githubAutolink);
+                    await createAutolink();
+                },
+            });
+        }
+    });
+
+    githubAutolinks
+        .filter(githubAutolink => exhaustive && !autolinks.find(autolink => autolink.keyPrefix === githubAutolink.key_prefix))
+        .forEach((githubAutolink) => {
+            changes.push({
+                action: 'delete',
+                description: `autolink '${githubAutolink.key_prefix}'`,
+                apply: () => deleteAutolink(githubAutolink),
+            });
+        });
+
+    return changes;
+};
+
 // Define CLI
 program
     .version(programVersion)
     .arguments('<config_file>')
+    .option('--update-webhook-secrets', 'Pass this option to send the secrets of all configured webhooks again, e.g. after rotating them. Otherwise only missing or superfluous secrets are detected, since the secrets of existing webhooks cannot be compared.')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
     .parse(process.argv);
 
 // Run command
@@ -29,8 +745,16 @@ commandRunner(async () => {
 
     // Check for any repository settings
     const repositorySettings = config.repositories.filter(repoConfig => repoConfig.settings && Object.keys(repoConfig.settings).length > 0);
-    if (Object.keys(config.repositorySettings).length === 0 && repositorySettings.length === 0) {
-        throw new Error('The provided config file must contain \'repositorySettings\' and/or \'settings\' per \'repository\' to be able to run this command.');
+    if (Object.keys(config.repositorySettings).length === 0 && repositorySettings.length === 0 && !config.rulesets) {
+        throw new Error('The provided config file must contain \'repositorySettings\', \'settings\' per \'repository\' and/or \'rulesets\' to be able to run this command.');
+    }
+
+    // Ensure that the secrets of all webhooks are available before changing any repository
+    const webhookWithoutSecret = [config.repositorySettings, ...repositorySettings.map(repoConfig => repoConfig.settings)]
+        .reduce((webhooks, settings) => [...webhooks, ...(settings.webhooks || [])], [])
+        .find(webhook => webhook.secretFromEnv && !(webhook.secretFromEnv in process.env));
+    if (webhookWithoutSecret) {
+        throw new Error(`The environment variable '${webhookWithoutSecret.secretFromEnv}' containing the secret of webhook '${webhookWithoutSecret.url}' is not set.`);
     }
 
     // Configure Octokit
@@ -48,67 +772,166 @@ commandRunner(async () => {
     console.log(`\t${allGithubRepositories.length} repositories found`);
 
     // Update the settings of all repositories
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+    });
+    if (config.rulesets) {
+        console.log(`Loading rulesets of organization '${githubOrg.login}'...`);
+        await plan.add(`rulesets of organization '${githubOrg.login}'`, await planRulesetChanges(octokit, githubOrg, config.rulesets));
+    }
     const globalProtectedBranches = config.repositorySettings.protectedBranches || null;
+    const globalRulesets = config.repositorySettings.rulesets || null;
+    const resolveActorIds = createActorIdResolver(octokit, githubOrg);
+    const unavailableSecuritySettings = [];
     await asyncSequence(allGithubRepositories, async (githubRepository) => {
         console.log(`Updating settings of repository '${githubRepository.name}':`);
-        const configRepository = config.repositories.find(repository => repository.name === githubRepository.name);
+        const configRepository = findRepositoryConfig(config.repositories, githubRepository);
+        const changes = [];
+
+        // Update general settings, whereby repository specific settings take precedence over global settings
+        const findSetting = key => ((configRepository && configRepository.settings && key in configRepository.settings) ? configRepository.settings[key] : config.repositorySettings[key]);
+        const generalSettings = {};
+        Object.keys(GENERAL_SETTINGS).filter(key => findSetting(key) !== undefined).forEach((key) => {
+            generalSettings[key] = findSetting(key);
+        });
+        if (Object.keys(generalSettings).length > 0) {
+            const generalSettingsChange = await planGeneralSettingsChange(octokit, githubRepository, generalSettings);
+            if (generalSettingsChange) {
+                changes.push(generalSettingsChange);
+            }
+        }
 
-        // Update protected branches
+        // Update topics
+        const topics = findSetting('topics');
+        if (topics) {
+            const topicsChange = await planTopicsChange(octokit, githubRepository, topics, findSetting('topicsMode') || 'replace');
+            if (topicsChange) {
+                changes.push(topicsChange);
+            }
+        }
+
+        // Update security and analysis settings, whereby repository specific settings take precedence per setting
+        const securityConfig = {
+            ...(config.repositorySettings.securityAndAnalysis || {}),
+            ...((configRepository && configRepository.settings && configRepository.settings.securityAndAnalysis) || {}),
+        };
+        if (Object.keys(securityConfig).length > 0) {
+            changes.push(...await planSecurityChanges(octokit, githubRepository, securityConfig, (key, reason) => {
+                unavailableSecuritySettings.push(`repository '${githubRepository.name}': ${key} (${reason})`);
+            }));
+        }
+
+        // Update webhooks
+        const webhooks = findSetting('webhooks');
+        if (Array.isArray(webhooks)) {
+            changes.push(...await planWebhookChanges(octokit, githubRepository, webhooks, {
+                exhaustive: findSetting('exhaustiveWebhooks') === true,
+                updateSecrets: program.opts().updateWebhookSecrets === true,
+            }));
+        }
+
+        // Update deploy keys and autolinks
+        const deployKeys = findSetting('deployKeys');
+        if (Array.isArray(deployKeys)) {
+            changes.push(...await planDeployKeyChanges(octokit, githubRepository, deployKeys, findSetting('exhaustiveDeployKeys') === true));
+        }
+        const autolinks = findSetting('autolinks');
+        if (Array.isArray(autolinks)) {
+            changes.push(...await planAutolinkChanges(octokit, githubRepository, autolinks, findSetting('exhaustiveAutolinks') === true));
+        }
+
+        // Update branch protection rules
         const protectedBranchesConfig = (configRepository && configRepository.settings && configRepository.settings.protectedBranches) ? configRepository.settings.protectedBranches : globalProtectedBranches;
         if (Array.isArray(protectedBranchesConfig)) {
-            console.log('\tUpdating protected branches...');
-            // Load all available branches
-            const branches = await octokit.paginate(octokit.rest.repos.listBranches, {
-                owner: githubOrg.login,
-                repo: githubRepository.name,
+            console.log('\tLoading branch protection rules...');
+            const githubRules = await loadBranchProtectionRules(octokit, githubRepository);
+
+            // Create or update the rules of all configured branch patterns
+            protectedBranchesConfig.forEach((branchConfig) => {
+                const githubRule = githubRules.find(rule => rule.pattern === branchConfig.name);
+                const ruleConfig = createRuleConfig(branchConfig);
+                const details = Plan.formatObjectChanges(githubRule ? parseGithubRule(githubRule) : null, ruleConfig);
+                if (githubRule && details.length === 0) {
+                    return;
+                }
+                changes.push({
+                    action: githubRule ? 'update' : 'create',
+                    description: `protection rule of branch pattern '${branchConfig.name}'`,
+                    details,
+                    apply: async () => {
+                        const input = await createRuleInput(ruleConfig, resolveActorIds);
+                        if (githubRule) {
+                            await limiter.schedule(() => octokit.graphql(
+                                `mutation UpdateBranchProtectionRule($input: UpdateBranchProtectionRuleInput!) {
+                                    updateBranchProtectionRule(input: $input) {
+                                        clientMutationId
+                                    }
+                                }`,
+                                {
+                                    input: {
+                                        ...input,
+                                        branchProtectionRuleId: githubRule.id,
+                                        pattern: branchConfig.name,
+                                    },
+                                },
+                            ));
+                        } else {
+                            await limiter.schedule(() => octokit.graphql(
+                                `mutation CreateBranchProtectionRule($input: CreateBranchProtectionRuleInput!) {
+                                    createBranchProtectionRule(input: $input) {
+                                        clientMutationId
+                                    }
+                                }`,
+                                {
+                                    input: {
+                                        ...input,
+                                        repositoryId: githubRepository.node_id,
+                                        pattern: branchConfig.name,
+                                    },
+                                },
+                            ));
+                        }
+                    },
+                });
             });
 
-            // Protect all branches that need protection and remove protection from all others
-            await Promise.all(branches.map(async (branch) => {
-                console.log(`\t - ${branch.name}`);
-                const branchConfig = protectedBranchesConfig.find(anyConfig => anyConfig.name === branch.name);
-                if (branchConfig) {
-                    console.log('\t   Updating protection...');
-                    const protectionConfig = {
-                        enforce_admins: false,
-                        required_pull_request_reviews: null,
-                        required_status_checks: null,
-                        restrictions: null,
-                    };
-                    if (branchConfig.requireStatusChecks) {
-                        protectionConfig.required_status_checks = {
-                            contexts: branchConfig.requireStatusChecks.statusChecks,
-                            strict: branchConfig.requireStatusChecks.requireBranchUpToDate,
-                        };
-                    }
-                    if (branchConfig.requireReviews) {
-                        protectionConfig.required_pull_request_reviews = {
-                            dismiss_stale_reviews: branchConfig.requireReviews.dismissApprovalWhenChanged,
-                            require_code_owner_reviews: branchConfig.requireReviews.requireCodeOwnerReview,
-                        };
-                    }
-                    await octokit.rest.repos.updateBranchProtection({
-                        owner: githubOrg.login,
-                        repo: githubRepository.name,
-                        branch: branch.name,
-                        ...protectionConfig,
+            // Remove all rules whose pattern is not configured
+            githubRules
+                .filter(githubRule => !protectedBranchesConfig.find(branchConfig => branchConfig.name === githubRule.pattern))
+                .forEach((githubRule) => {
+                    changes.push({
+                        action: 'delete',
+                        description: `protection rule of branch pattern '${githubRule.pattern}'`,
+                        apply: () => limiter.schedule(() => octokit.graphql(
+                            `mutation DeleteBranchProtectionRule($input: DeleteBranchProtectionRuleInput!) {
+                                deleteBranchProtectionRule(input: $input) {
+                                    clientMutationId
+                                }
+                            }`,
+                            {
+                                input: {
+                                    branchProtectionRuleId: githubRule.id,
+                                },
+                            },
+                        )),
                     });
-                } else {
-                    console.log('\t   Removing protection...');
-                    try {
-                        await octokit.rest.repos.deleteBranchProtection({
-                            owner: githubOrg.login,
-                            repo: githubRepository.name,
-                            branch: branch.name,
-                        });
-                    } catch (error) {
-                        // Ignore '404 Not found' errors, since they mean that the beanch was not protected before
-                        if (!error.status || error.status !== 404) {
-                            throw error;
-                        }
-                    }
-                }
-            }));
+                });
+        }
+
+        // Update repository rulesets
+        const rulesetsConfig = (configRepository && configRepository.settings && configRepository.settings.rulesets) ? configRepository.settings.rulesets : globalRulesets;
+        if (Array.isArray(rulesetsConfig)) {
+            console.log('\tLoading rulesets...');
+            changes.push(...await planRulesetChanges(octokit, githubOrg, rulesetsConfig, githubRepository));
         }
+
+        await plan.add(`repository '${githubRepository.name}'`, changes);
     });
+    await plan.apply();
+
+    if (unavailableSecuritySettings.length > 0) {
+        console.log('\n⚠️  The following security and analysis settings cannot be applied:');
+        unavailableSecuritySettings.forEach(line => console.log(`\t${line}`));
+    }
 });
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+const fs = require('mz/fs');
+const path = require('path');
+const { program } = require('commander');
+const asyncSequence = require('../asyncSequence');
+const commandRunner = require('./commandRunner');
+const configReader = require('../configReader');
+const findOrganization = require('../findOrganization');
+const findRepositoryConfig = require('../findRepositoryConfig');
+const getAccessToken = require('../getAccessToken');
+const loadFileFromGithub = require('../loadFileFromGithub');
+const makeOctokit = require('../makeOctokit');
+const Plan = require('../plan');
+const planFileChange = require('../planFileChange');
+const planFileDelivery = require('../planFileDelivery');
+const programVersion = require('../version');
+
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*repository\.([A-Za-z]+)\s*\}\}/g;
+
+/**
+ * The variables that can be used in the contents of managed files (e.g. `{{ repository.name }}`), mapped to functions
+ * returning their value for a GitHub repository.
+ */
+const TEMPLATE_VARIABLES = {
+    name: githubRepository => githubRepository.name,
+    owner: githubRepository => githubRepository.owner.login,
+    fullName: githubRepository => githubRepository.full_name,
+    description: githubRepository => githubRepository.description || '',
+    defaultBranch: githubRepository => githubRepository.default_branch,
+    topics: githubRepository => (githubRepository.topics || []).join(', '),
+};
+
+/**
+ * Replaces all variables like `{{ repository.name }}` in the passed contents of a managed file. Any other `{{ ... }}`
+ * expressions (e.g. those of GitHub Actions workflows) are kept.
+ *
+ * @param {String} content
+ * @param {Object} githubRepository
+ * @return {String}
+ */
+const renderTemplate = (content, githubRepository) => content.replace(TEMPLATE_VARIABLE_PATTERN, (reference, name) => TEMPLATE_VARIABLES[name](githubRepository));
+
+/**
+ * Returns the global managed files, whereby the entries of the passed repository config are merged into the global
+ * entries having the same path. This allows to e.g. only change `ensure` or `fromFile` for a single repository.
+ *
+ * @param {Object[]} managedFiles
+ * @param {Object|undefined} configRepository
+ * @return {Object[]}
+ */
+const findManagedFiles = (managedFiles, configRepository) => {
+    const repositoryManagedFiles = (configRepository && configRepository.managedFiles) || [];
+    const findRepositoryManagedFile = managedFile => repositoryManagedFiles.find(repositoryManagedFile => repositoryManagedFile.path === managedFile.path);
+
+    return [
+        ...managedFiles.map(managedFile => ({
+            ...managedFile,
+            ...findRepositoryManagedFile(managedFile),
+        })),
+        ...repositoryManagedFiles.filter(repositoryManagedFile => !managedFiles.find(managedFile => managedFile.path === repositoryManagedFile.path)),
+    ];
+};
+
+// Define CLI
+program
+    .version(programVersion)
+    .option('--include-public-repos', 'Pass this option to update both public and private repositories.')
+    .option('--plan', 'Pass this option to review all changes before applying them to any repository.')
+    .option('--auto-approve', 'Pass this option together with \'--plan\' to apply the planned changes without confirmation.')
+    .arguments('<config_file>')
+    .parse(process.argv);
+
+// Run command
+commandRunner(async () => {
+    // Validate arguments
+    if (program.args.length < 1) {
+        throw new Error('No config file given!');
+    }
+
+    // Read the config file
+    const configPath = path.resolve(process.cwd(), program.args[0]);
+    const config = await configReader(configPath);
+
+    // Check for any managed files
+    const configRepositories = config.repositories.filter(repoConfig => repoConfig.managedFiles);
+    if (!config.managedFiles && configRepositories.length === 0) {
+        throw new Error('The provided config file must contain \'managedFiles\', either globally or per \'repository\', to be able to run this command.');
+    }
+
+    // Read all source files before changing any repository
+    console.log('Reading the sources of all managed files...');
+    const sourceContents = new Map();
+    await asyncSequence(
+        [config, ...configRepositories].reduce((managedFiles, configEntry) => [...managedFiles, ...(configEntry.managedFiles || [])], []),
+        async (managedFile) => {
+            if (!managedFile.fromFile) {
+                return;
+            }
+            if (!sourceContents.has(managedFile.fromFile)) {
+                if (!await fs.exists(managedFile.fromFile)) {
+                    throw new Error(`The file ${managedFile.fromFile} containing the contents of managed file '${managedFile.path}' does not exist!`);
+                }
+                sourceContents.set(managedFile.fromFile, await fs.readFile(managedFile.fromFile, 'utf8'));
+            }
+            if (managedFile.template !== false) {
+                const unknownVariable = [...sourceContents.get(managedFile.fromFile).matchAll(TEMPLATE_VARIABLE_PATTERN)].find(match => !(match[1] in TEMPLATE_VARIABLES));
+                if (unknownVariable) {
+                    throw new Error(`The file ${managedFile.fromFile} uses the unknown variable '${unknownVariable[0]}'. Available variables are: ${Object.keys(TEMPLATE_VARIABLES).map(name => `'repository.${name}'`).join(', ')}.`);
+                }
+            }
+        },
+    );
+
+    // Configure Octokit
+    const accessToken = await getAccessToken();
+    const octokit = makeOctokit(accessToken);
+
+    // Check whether the user has access to the org selected in the config
+    const githubOrg = await findOrganization(octokit, config.orgName);
+
+    // Fetch the org's repositories
+    console.log('Loading available repositories...');
+    let allGithubRepositories = await octokit.paginate(octokit.rest.repos.listForOrg, {
+        org: githubOrg.login,
+    });
+    allGithubRepositories = allGithubRepositories.filter(repository => (
+        !repository.archived
+        && !repository.fork
+        && (repository.private || program.opts().includePublicRepos)
+    ));
+    console.log(`\t${allGithubRepositories.length} active repositories found`);
+
+    // Update the managed files of all repositories
+    const plan = Plan.createPlan({
+        planMode: program.opts().plan === true,
+        autoApprove: program.opts().autoApprove === true,
+        continueOnError: true,
+    });
+    await asyncSequence(allGithubRepositories, async (githubRepository) => {
+        console.log(`Syncing managed files of repository '${githubRepository.name}':`);
+        const configRepository = findRepositoryConfig(config.repositories, githubRepository);
+        const managedFiles = findManagedFiles(config.managedFiles || [], configRepository);
+        if (managedFiles.length === 0) {
+            console.log('\tNo managed files configured');
+
+            return;
+        }
+        const repoInfo = {
+            owner: githubOrg.login,
+            repo: githubRepository.name,
+        };
+
+        try {
+            const changes = [];
+            await asyncSequence(managedFiles, async (managedFile) => {
+                const description = `file '${managedFile.path}'`;
+                let content = null;
+                if (managedFile.ensure !== 'absent') {
+                    if (!managedFile.fromFile) {
+                        throw new Error(`The managed file '${managedFile.path}' must either specify 'fromFile' or 'ensure: absent'.`);
+                    }
+                    content = sourceContents.get(managedFile.fromFile);
+                    if (managedFile.template !== false) {
+                        content = renderTemplate(content, githubRepository);
+                    }
+                }
+
+                // Only compare the exact file contents to prevent creating commits in case nothing changes
+                const githubFile = await loadFileFromGithub(octokit, repoInfo, managedFile.path, true);
+                const change = planFileChange(octokit, repoInfo, description, managedFile.path, githubFile, content);
+                if (!change) {
+                    console.log(`\tFile '${managedFile.path}' is up to date`);
+
+                    return;
+                }
+                changes.push(change);
+            });
+
+            await plan.add(`repository '${githubRepository.name}'`, await planFileDelivery(octokit, githubRepository, changes, config.managedFilesDelivery, {
+                commitMessage: 'Update managed files',
+                branch: 'github-commander/managed-files',
+            }));
+        } catch (error) {
+            console.error(`\t❌ Failed to update managed files in repository '${githubRepository.name}': ${error.message}`);
+        }
+    });
+    await plan.apply();
+});
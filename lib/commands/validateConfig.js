@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+const chalk = require('chalk');
+const path = require('path');
+const { program } = require('commander');
+const commandRunner = require('./commandRunner');
+const programVersion = require('../version');
+const validateConfigFile = require('../validateConfigFile');
+
+// Define CLI
+program
+    .version(programVersion)
+    .arguments('<config_file>')
+    .parse(process.argv);
+
+// Run command
+commandRunner(async () => {
+    // Validate arguments
+    if (program.args.length < 1) {
+        throw new Error('No config file given!');
+    }
+
+    const configPath = path.resolve(process.cwd(), program.args[0]);
+    console.log(`Validating config file ${program.args[0]}...`);
+    const problems = await validateConfigFile(configPath);
+    problems.forEach((problem) => {
+        const location = [path.relative(process.cwd(), problem.filePath), problem.line, problem.column].filter(part => part !== undefined).join(':');
+        console.log(`${chalk.bold(location)}: ${problem.isWarning ? `${chalk.yellow('Warning:')} ` : ''}${problem.message}`);
+    });
+    const errorCount = problems.filter(problem => !problem.isWarning).length;
+    if (errorCount === 0) {
+        console.log(chalk.green('The config is valid.'));
+
+        return;
+    }
+
+    throw new Error(`The config contains ${errorCount} problem${(errorCount === 1) ? '' : 's'}.`);
+});
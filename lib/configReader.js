@@ -1,11 +1,20 @@
 const fs = require('mz/fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const asyncSequence = require('./asyncSequence');
+const interpolateEnvironmentVariables = require('./interpolateEnvironmentVariables');
+const { mergeConfig, SOURCES } = require('./mergeConfig');
+
+const CUSTOM_ROLE_PREFIX = 'custom:';
+const PERMISSION_VALUES = "one of 'none', 'read', 'triage', 'write', 'maintain', 'admin' or 'custom:<role name>'";
 
 /**
+ * Converts the passed permission to the name used by the GitHub API. Custom repository roles of the organization must
+ * be prefixed with `custom:` (e.g. `custom:Security reviewer`) to still detect typos in the built-in permissions
+ * offline. Whether the custom role exists can only be validated when running the command.
+ *
  * @param {String|null} permission
- * @return {String|null}
- * @throws {Error}
+ * @return {String|null|undefined} undefined, if the permission is invalid.
  */
 const parsePermissionString = (permission) => {
     if (permission === null) {
@@ -18,13 +27,23 @@ const parsePermissionString = (permission) => {
         case 'read':
         case 'pull':
             return 'pull';
+        case 'triage':
+            return 'triage';
         case 'write':
         case 'push':
             return 'push';
+        case 'maintain':
+            return 'maintain';
         case 'admin':
             return 'admin';
-        default:
-            throw new Error(`Invalid permission '${permission}'. Must be one of 'none'/null, 'read'/'pull', 'write'/'push' or 'admin'.`);
+        default: {
+            if (!permission.toLowerCase().startsWith(CUSTOM_ROLE_PREFIX)) {
+                return undefined;
+            }
+            const roleName = permission.slice(CUSTOM_ROLE_PREFIX.length).trim();
+
+            return (roleName.length > 0) ? roleName : undefined;
+        }
     }
 };
 
@@ -43,80 +62,734 @@ const validateTeam = (team, index) => {
     if ((typeof team.defaultPermission !== 'string' || team.defaultPermission.length === 0) && team.defaultPermission !== null) {
         throw new Error(`Invalid config: 'teams[${index}].defaultPermission' must be of type 'String'.`);
     }
-    try {
-        parsePermissionString(team.defaultPermission);
-    } catch (err) {
-        throw new Error(`Invalid config: 'teams[${index}].defaultPermission' has an invalid value: ${err.message}`);
+    if (parsePermissionString(team.defaultPermission) === undefined) {
+        throw new Error(`Invalid config: 'teams[${index}].defaultPermission' must be ${PERMISSION_VALUES}.`);
+    }
+    if ('description' in team && typeof team.description !== 'string' && team.description !== null) {
+        throw new Error(`Invalid config: 'teams[${index}].description' must be of type 'String'.`);
+    }
+    if ('privacy' in team && !['secret', 'closed'].includes(team.privacy)) {
+        throw new Error(`Invalid config: 'teams[${index}].privacy' must be one of 'secret' or 'closed'.`);
+    }
+    if ('parentTeam' in team) {
+        if ((typeof team.parentTeam !== 'string' || team.parentTeam.length === 0) && team.parentTeam !== null) {
+            throw new Error(`Invalid config: 'teams[${index}].parentTeam' must be of type 'String'.`);
+        }
+        if (team.parentTeam === team.name) {
+            throw new Error(`Invalid config: 'teams[${index}].parentTeam' must not reference the team itself.`);
+        }
+        if (team.parentTeam && team.privacy === 'secret') {
+            throw new Error(`Invalid config: 'teams[${index}].privacy' must be 'closed', because nested teams cannot be secret.`);
+        }
+    }
+    if ('maintainers' in team) {
+        if (!Array.isArray(team.maintainers)) {
+            throw new Error(`Invalid config: 'teams[${index}].maintainers' must be of type 'Array'.`);
+        }
+        team.maintainers.forEach((maintainer, maintainerIndex) => {
+            if (typeof maintainer !== 'string' || maintainer.length === 0) {
+                throw new Error(`Invalid config: 'teams[${index}].maintainers[${maintainerIndex}]' must be of type 'String'.`);
+            }
+        });
+    }
+    if ('members' in team) {
+        if (!Array.isArray(team.members)) {
+            throw new Error(`Invalid config: 'teams[${index}].members' must be of type 'Array'.`);
+        }
+        team.members.forEach((member, memberIndex) => {
+            if (typeof member === 'string' && member.length > 0) {
+                return;
+            }
+            if (typeof member !== 'object' || member === null) {
+                throw new Error(`Invalid config: 'teams[${index}].members[${memberIndex}]' must be of type 'String' or 'Object'.`);
+            }
+            if (typeof member.username !== 'string' || member.username.length === 0) {
+                throw new Error(`Invalid config: 'teams[${index}].members[${memberIndex}].username' must be of type 'String'.`);
+            }
+            if ('role' in member && !['member', 'maintainer'].includes(member.role)) {
+                throw new Error(`Invalid config: 'teams[${index}].members[${memberIndex}].role' must be one of 'member' or 'maintainer'.`);
+            }
+        });
+    }
+};
+
+/**
+ * Combines the `members` and `maintainers` of the team into a list of `members`, each having a `username` and `role`.
+ *
+ * @param {Object} team
+ * @param {Number} index
+ * @throws {Error}
+ */
+const normalizeTeamMembers = (team, index) => {
+    if (!team.members && !team.maintainers) {
+        return;
     }
+
+    const members = [
+        ...(team.members || []).map(member => ((typeof member === 'string') ? {
+            username: member,
+            role: 'member',
+        } : {
+            username: member.username,
+            role: member.role || 'member',
+        })),
+        ...(team.maintainers || []).map(username => ({
+            username,
+            role: 'maintainer',
+        })),
+    ];
+    members.forEach((member, memberIndex) => {
+        if (members.findIndex(otherMember => otherMember.username.toLowerCase() === member.username.toLowerCase()) !== memberIndex) {
+            throw new Error(`Invalid config: user '${member.username}' is listed more than once in the 'members' and 'maintainers' of 'teams[${index}]'.`);
+        }
+    });
+    team.members = members;
+    team.maintainers = members.filter(member => member.role === 'maintainer').map(member => member.username);
+};
+
+/**
+ * Makes sure that the configured parent teams do not form a cycle.
+ *
+ * @param {Object[]} teams
+ * @throws {Error}
+ */
+const validateTeamHierarchy = (teams) => {
+    const findTeam = name => teams.find(team => team.name === name);
+    teams.forEach((team) => {
+        const visitedTeamNames = [team.name];
+        let parentTeam = findTeam(team.parentTeam);
+        while (parentTeam) {
+            if (visitedTeamNames.includes(parentTeam.name)) {
+                throw new Error(`Invalid config: the parent teams of team '${team.name}' form a cycle (${[...visitedTeamNames, parentTeam.name].join(' → ')}).`);
+            }
+            visitedTeamNames.push(parentTeam.name);
+            parentTeam = findTeam(parentTeam.parentTeam);
+        }
+    });
 };
 
 /**
  * @param {Object} issueLabel
  * @param {Number} index
+ * @param {String} breadcrump (optional)
  * @throws {Error}
  */
-const validateIssueLabel = (issueLabel, index) => {
+const validateIssueLabel = (issueLabel, index, breadcrump = 'issueLabels') => {
     if (typeof issueLabel !== 'object') {
-        throw new Error(`Invalid config: 'issueLabels[${index}]' must be of type 'Object'.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}]' must be of type 'Object'.`);
     }
     if (typeof issueLabel.name !== 'string' || issueLabel.name.length === 0) {
-        throw new Error(`Invalid config: 'issueLabels[${index}].name' must be of type 'String'.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].name' must be of type 'String'.`);
     }
     if (typeof issueLabel.color !== 'string' || issueLabel.color.length === 0) {
-        throw new Error(`Invalid config: 'issueLabels[${index}].color' must be of type 'String'.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].color' must be of type 'String'.`);
     }
     if (!issueLabel.color.match(/^[a-fA-F0-9]{3,6}$/)) {
-        throw new Error(`Invalid config: 'issueLabels[${index}].color' must be a valid hex color code. '${issueLabel.color}' given.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].color' must be a valid hex color code. '${issueLabel.color}' given.`);
     }
     if ('description' in issueLabel) {
         if (typeof issueLabel.description !== 'string') {
-            throw new Error(`Invalid config: 'issueLabels[${index}].description' must be of type 'String'.`);
+            throw new Error(`Invalid config: '${breadcrump}[${index}].description' must be of type 'String'.`);
         } else if (issueLabel.description.length > 100) {
-            throw new Error(`Invalid config: 'issueLabels[${index}].description' must not exceed 100 characters.`);
+            throw new Error(`Invalid config: '${breadcrump}[${index}].description' must not exceed 100 characters.`);
+        }
+    }
+    if ('previousNames' in issueLabel) {
+        if (!Array.isArray(issueLabel.previousNames)) {
+            throw new Error(`Invalid config: '${breadcrump}[${index}].previousNames' must be of type 'Array'.`);
+        }
+        issueLabel.previousNames.forEach((previousName, previousNameIndex) => {
+            if (typeof previousName !== 'string' || previousName.length === 0) {
+                throw new Error(`Invalid config: '${breadcrump}[${index}].previousNames[${previousNameIndex}]' must be of type 'String'.`);
+            }
+            if (previousName.toLowerCase() === issueLabel.name.toLowerCase()) {
+                throw new Error(`Invalid config: '${breadcrump}[${index}].previousNames[${previousNameIndex}]' must not equal the label's 'name'.`);
+            }
+        });
+    }
+};
+
+/**
+ * Makes sure that no previous name of any label is used as the name of another label in the same list.
+ *
+ * @param {Object[]} issueLabels
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validatePreviousIssueLabelNames = (issueLabels, breadcrump) => {
+    issueLabels.forEach((issueLabel) => {
+        (issueLabel.previousNames || []).forEach((previousName) => {
+            const conflictingLabel = issueLabels.find(label => label.name.toLowerCase() === previousName.toLowerCase());
+            if (conflictingLabel) {
+                throw new Error(`Invalid config: '${breadcrump}' contains label '${conflictingLabel.name}', which is also a previous name of label '${issueLabel.name}'.`);
+            }
+        });
+    });
+};
+
+/**
+ * @param {Object} settings
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateIssueLabelSettings = (settings, breadcrump) => {
+    if (typeof settings !== 'object' || settings === null) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Object'.`);
+    }
+    if ('mergeInto' in settings) {
+        if (typeof settings.mergeInto !== 'object' || settings.mergeInto === null || Array.isArray(settings.mergeInto)) {
+            throw new Error(`Invalid config: '${breadcrump}.mergeInto' must be of type 'Object'.`);
+        }
+        Object.entries(settings.mergeInto).forEach(([sourceName, targetName]) => {
+            if (typeof targetName !== 'string' || targetName.length === 0) {
+                throw new Error(`Invalid config: '${breadcrump}.mergeInto.${sourceName}' must be of type 'String'.`);
+            }
+            if (targetName.toLowerCase() === sourceName.toLowerCase()) {
+                throw new Error(`Invalid config: '${breadcrump}.mergeInto.${sourceName}' must not merge a label into itself.`);
+            }
+        });
+    } else {
+        settings.mergeInto = {};
+    }
+    if ('keepUnknownLabels' in settings && typeof settings.keepUnknownLabels !== 'boolean') {
+        throw new Error(`Invalid config: '${breadcrump}.keepUnknownLabels' must be of type 'Boolean'.`);
+    }
+    if ('managedPrefixes' in settings && settings.managedPrefixes !== null) {
+        if (!Array.isArray(settings.managedPrefixes)) {
+            throw new Error(`Invalid config: '${breadcrump}.managedPrefixes' must be of type 'Array'.`);
+        }
+        settings.managedPrefixes.forEach((prefix, index) => {
+            if (typeof prefix !== 'string' || prefix.length === 0) {
+                throw new Error(`Invalid config: '${breadcrump}.managedPrefixes[${index}]' must be of type 'String'.`);
+            }
+        });
+    }
+};
+
+/**
+ * Ensures that all labels are merged into issue labels that are configured and managed (see `managedPrefixes`), since
+ * merging a label into any other label would fail while applying the changes.
+ *
+ * @param {Object} settings The issue label settings, whose `mergeInto` has already been validated.
+ * @param {Object[]} issueLabels
+ * @param {Function} getBreadcrump Returns the breadcrump of the passed merge source name.
+ * @param {String} scope (optional) The breadcrump of the repository, if the issue labels are configured for one.
+ * @throws {Error}
+ */
+const validateIssueLabelMergeTargets = (settings, issueLabels, getBreadcrump, scope = null) => {
+    Object.entries(settings.mergeInto).forEach(([sourceName, targetName]) => {
+        if (!issueLabels.find(label => label.name.toLowerCase() === targetName.toLowerCase())) {
+            throw new Error(`Invalid config: '${getBreadcrump(sourceName)}' must be the name of a configured issue label${scope ? ` of '${scope}'` : ''}. '${targetName}' given.`);
+        }
+        if (settings.managedPrefixes && !settings.managedPrefixes.some(prefix => targetName.toLowerCase().startsWith(prefix.toLowerCase()))) {
+            throw new Error(`Invalid config: '${getBreadcrump(sourceName)}' must be the name of an issue label matching 'managedPrefixes'${scope ? ` of '${scope}'` : ''}. '${targetName}' given.`);
         }
+    });
+};
+
+/**
+ * @param {*} value
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateStringArray = (value, breadcrump) => {
+    if (!Array.isArray(value)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
     }
+    value.forEach((entry, index) => {
+        if (typeof entry !== 'string' || entry.length === 0) {
+            throw new Error(`Invalid config: '${breadcrump}[${index}]' must be of type 'String'.`);
+        }
+    });
 };
 
 /**
  * @param {Object} issueTemplate
  * @param {Number} index
+ * @param {String} breadcrump (optional)
  * @throws {Error}
  */
-const validateIssueTemplate = (issueTemplate, index) => {
+const validateIssueTemplate = (issueTemplate, index, breadcrump = 'issueTemplates') => {
     if (typeof issueTemplate !== 'object') {
-        throw new Error(`Invalid config: 'issueTemplates[${index}]' must be of type 'Object'.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}]' must be of type 'Object'.`);
     }
     if (typeof issueTemplate.name !== 'string') {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].name' must be of type 'String'.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].name' must be of type 'String'.`);
     } else if (issueTemplate.name.length < 3) {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].name' must be at least 3 characters long.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].name' must be at least 3 characters long.`);
     } else if (issueTemplate.name.length > 200) {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].name' must not exceed 200 characters.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].name' must not exceed 200 characters.`);
     }
     if (typeof issueTemplate.description !== 'string') {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].description' must be of type 'String'.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].description' must be of type 'String'.`);
     } else if (issueTemplate.description.length < 3) {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].description' must be at least 3 characters long.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].description' must be at least 3 characters long.`);
     } else if (issueTemplate.description.length > 200) {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].description' must not exceed 200 characters.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].description' must not exceed 200 characters.`);
     }
     if (typeof issueTemplate.templateFile !== 'string' || issueTemplate.templateFile.length === 0) {
-        throw new Error(`Invalid config: 'issueTemplates[${index}].templateFile' must be of type 'String' and not empty.`);
+        throw new Error(`Invalid config: '${breadcrump}[${index}].templateFile' must be of type 'String' and not empty.`);
+    }
+    if ('title' in issueTemplate && typeof issueTemplate.title !== 'string') {
+        throw new Error(`Invalid config: '${breadcrump}[${index}].title' must be of type 'String'.`);
     }
+    ['labels', 'assignees'].filter(key => key in issueTemplate).forEach((key) => {
+        validateStringArray(issueTemplate[key], `${breadcrump}[${index}].${key}`);
+    });
 };
 
 /**
- * @param {Object} issueTemplate
- * @param {Number} index
+ * @param {Object} issueTemplateConfig
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateIssueTemplateConfig = (issueTemplateConfig, breadcrump) => {
+    if (typeof issueTemplateConfig !== 'object' || issueTemplateConfig === null || Array.isArray(issueTemplateConfig)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Object'.`);
+    }
+    if ('blankIssuesEnabled' in issueTemplateConfig && typeof issueTemplateConfig.blankIssuesEnabled !== 'boolean') {
+        throw new Error(`Invalid config: '${breadcrump}.blankIssuesEnabled' must be of type 'Boolean'.`);
+    }
+    if ('contactLinks' in issueTemplateConfig) {
+        if (!Array.isArray(issueTemplateConfig.contactLinks)) {
+            throw new Error(`Invalid config: '${breadcrump}.contactLinks' must be of type 'Array'.`);
+        }
+        issueTemplateConfig.contactLinks.forEach((contactLink, index) => {
+            const contactLinkBreadcrump = `${breadcrump}.contactLinks[${index}]`;
+            if (typeof contactLink !== 'object' || contactLink === null) {
+                throw new Error(`Invalid config: '${contactLinkBreadcrump}' must be of type 'Object'.`);
+            }
+            ['name', 'url', 'about'].forEach((key) => {
+                if (typeof contactLink[key] !== 'string' || contactLink[key].length === 0) {
+                    throw new Error(`Invalid config: '${contactLinkBreadcrump}.${key}' must be of type 'String' and not empty.`);
+                }
+            });
+            if (!/^https?:\/\/.+/.test(contactLink.url)) {
+                throw new Error(`Invalid config: '${contactLinkBreadcrump}.url' must be an HTTP(S) URL.`);
+            }
+        });
+    }
+};
+
+/**
+ * @param {Object} pullRequestTemplate
+ * @param {String} breadcrump
  * @throws {Error}
  */
-const validatePullRequestTemplate = (pullRequestTemplate, index) => {
+const validatePullRequestTemplate = (pullRequestTemplate, breadcrump) => {
     if (typeof pullRequestTemplate !== 'object') {
-        throw new Error(`Invalid config: 'pullRequestTemplates[${index}]' must be of type 'Object'.`);
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Object'.`);
     }
     if (typeof pullRequestTemplate.templateFile !== 'string' || pullRequestTemplate.templateFile.length === 0) {
-        throw new Error(`Invalid config: 'pullRequestTemplates[${index}].templateFile' must be of type 'String' and not empty.`);
+        throw new Error(`Invalid config: '${breadcrump}.templateFile' must be of type 'String' and not empty.`);
+    }
+};
+
+/**
+ * @param {Object[]} pullRequestTemplates
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validatePullRequestTemplates = (pullRequestTemplates, breadcrump) => {
+    if (!Array.isArray(pullRequestTemplates)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    pullRequestTemplates.forEach((pullRequestTemplate, index) => {
+        validatePullRequestTemplate(pullRequestTemplate, `${breadcrump}[${index}]`);
+        if (typeof pullRequestTemplate.name !== 'string' || !/^[A-Za-z0-9._-]+$/.test(pullRequestTemplate.name)) {
+            throw new Error(`Invalid config: '${breadcrump}[${index}].name' must only contain letters, numbers, '.', '-' and '_', since it is used as file name.`);
+        }
+        if (pullRequestTemplates.findIndex(other => other.name.toLowerCase() === pullRequestTemplate.name.toLowerCase()) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the pull request template '${pullRequestTemplate.name}' more than once.`);
+        }
+    });
+};
+
+/**
+ * Validates the config describing how file changes are delivered to a repository (see `planFileDelivery`).
+ *
+ * @param {Object} delivery
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateFileDelivery = (delivery, breadcrump) => {
+    if (typeof delivery !== 'object' || delivery === null || Array.isArray(delivery)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Object'.`);
+    }
+    if ('mode' in delivery && !['commits', 'singleCommit', 'pullRequest'].includes(delivery.mode)) {
+        throw new Error(`Invalid config: '${breadcrump}.mode' must be one of 'commits', 'singleCommit' or 'pullRequest'.`);
+    }
+    if ('commitMessage' in delivery && (typeof delivery.commitMessage !== 'string' || delivery.commitMessage.length === 0)) {
+        throw new Error(`Invalid config: '${breadcrump}.commitMessage' must be of type 'String' and not empty.`);
+    }
+    if ('pullRequest' in delivery) {
+        const pullRequestBreadcrump = `${breadcrump}.pullRequest`;
+        if (typeof delivery.pullRequest !== 'object' || delivery.pullRequest === null || Array.isArray(delivery.pullRequest)) {
+            throw new Error(`Invalid config: '${pullRequestBreadcrump}' must be of type 'Object'.`);
+        }
+        ['branch', 'title'].filter(key => key in delivery.pullRequest).forEach((key) => {
+            if (typeof delivery.pullRequest[key] !== 'string' || delivery.pullRequest[key].length === 0) {
+                throw new Error(`Invalid config: '${pullRequestBreadcrump}.${key}' must be of type 'String' and not empty.`);
+            }
+        });
+        if ('body' in delivery.pullRequest && typeof delivery.pullRequest.body !== 'string') {
+            throw new Error(`Invalid config: '${pullRequestBreadcrump}.body' must be of type 'String'.`);
+        }
+        ['labels', 'reviewers', 'teamReviewers'].filter(key => key in delivery.pullRequest).forEach((key) => {
+            validateStringArray(delivery.pullRequest[key], `${pullRequestBreadcrump}.${key}`);
+        });
+    }
+};
+
+/**
+ * @param {Object[]} managedFiles
+ * @param {String} breadcrump
+ * @param {Boolean} requireSource Pass false to allow entries without `fromFile`, e.g. because they override the `ensure`
+ *        of a global entry.
+ * @throws {Error}
+ */
+const validateManagedFiles = (managedFiles, breadcrump, requireSource) => {
+    if (!Array.isArray(managedFiles)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    managedFiles.forEach((managedFile, index) => {
+        const managedFileBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof managedFile !== 'object' || managedFile === null || Array.isArray(managedFile)) {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof managedFile.path !== 'string' || managedFile.path.length === 0) {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}.path' must be of type 'String' and not empty.`);
+        }
+        if (managedFile.path.startsWith('/') || managedFile.path.endsWith('/') || managedFile.path.split('/').some(segment => ['', '.', '..'].includes(segment))) {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}.path' must be a normalized path of a file relative to the root of the repository.`);
+        }
+        if ('ensure' in managedFile && !['present', 'absent'].includes(managedFile.ensure)) {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}.ensure' must be one of 'present' or 'absent'.`);
+        }
+        if ('fromFile' in managedFile && (typeof managedFile.fromFile !== 'string' || managedFile.fromFile.length === 0)) {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}.fromFile' must be of type 'String' and not empty.`);
+        }
+        if (requireSource && managedFile.ensure !== 'absent' && !('fromFile' in managedFile)) {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}' must either specify 'fromFile' or 'ensure: absent'.`);
+        }
+        if ('template' in managedFile && typeof managedFile.template !== 'boolean') {
+            throw new Error(`Invalid config: '${managedFileBreadcrump}.template' must be of type 'Boolean'.`);
+        }
+        if (managedFiles.findIndex(other => other.path === managedFile.path) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the file '${managedFile.path}' more than once.`);
+        }
+    });
+};
+
+/**
+ * Validates the code owner rules used to generate the CODEOWNERS files of repositories. Teams are referenced by their
+ * names, hence they must be configured in `teams`.
+ *
+ * @param {Object[]} codeOwners
+ * @param {String} breadcrump
+ * @param {Object[]} teams
+ * @throws {Error}
+ */
+const validateCodeOwners = (codeOwners, breadcrump, teams) => {
+    if (!Array.isArray(codeOwners)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    codeOwners.forEach((codeOwner, index) => {
+        const codeOwnerBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof codeOwner !== 'object' || codeOwner === null || Array.isArray(codeOwner)) {
+            throw new Error(`Invalid config: '${codeOwnerBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof codeOwner.pattern !== 'string' || codeOwner.pattern.length === 0) {
+            throw new Error(`Invalid config: '${codeOwnerBreadcrump}.pattern' must be of type 'String' and not empty.`);
+        }
+        if (/\s/.test(codeOwner.pattern) || /^[#!]/.test(codeOwner.pattern) || /[[\]]/.test(codeOwner.pattern)) {
+            throw new Error(`Invalid config: '${codeOwnerBreadcrump}.pattern' must not contain whitespace or '[]' and must not start with '#' or '!', since CODEOWNERS files do not support these.`);
+        }
+        if (codeOwners.findIndex(other => other.pattern === codeOwner.pattern) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the pattern '${codeOwner.pattern}' more than once.`);
+        }
+        if ('teams' in codeOwner) {
+            validateStringArray(codeOwner.teams, `${codeOwnerBreadcrump}.teams`);
+            codeOwner.teams.forEach((teamName, teamIndex) => {
+                if (!teams.find(team => team.name === teamName)) {
+                    throw new Error(`Invalid config: '${codeOwnerBreadcrump}.teams[${teamIndex}]' references the team '${teamName}', which is not configured in 'teams'.`);
+                }
+            });
+        }
+        if ('users' in codeOwner) {
+            validateStringArray(codeOwner.users, `${codeOwnerBreadcrump}.users`);
+            codeOwner.users.forEach((username, userIndex) => {
+                if (!/^[A-Za-z0-9-]+$/.test(username)) {
+                    throw new Error(`Invalid config: '${codeOwnerBreadcrump}.users[${userIndex}]' must be a GitHub username (without '@').`);
+                }
+            });
+        }
+    });
+};
+
+/**
+ * Validates lists of users, teams and apps like those used for push restrictions of protected branches.
+ *
+ * @param {Object} actors
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateActorLists = (actors, breadcrump) => {
+    if (typeof actors !== 'object' || actors === null || Array.isArray(actors)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Object'.`);
+    }
+    ['users', 'teams', 'apps'].filter(key => key in actors).forEach((key) => {
+        if (!Array.isArray(actors[key])) {
+            throw new Error(`Invalid config: '${breadcrump}.${key}' must be of type 'Array'.`);
+        }
+        actors[key].forEach((actor, index) => {
+            if (typeof actor !== 'string' || actor.length === 0) {
+                throw new Error(`Invalid config: '${breadcrump}.${key}[${index}]' must be of type 'String'.`);
+            }
+        });
+    });
+};
+
+/**
+ * Validates the passed Actions secrets or variables, whose values must be read from an environment variable or a file.
+ *
+ * @param {Object[]} entries
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateActionsEntries = (entries, breadcrump) => {
+    if (!Array.isArray(entries)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    entries.forEach((entry, index) => {
+        const entryBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof entry !== 'object' || entry === null) {
+            throw new Error(`Invalid config: '${entryBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof entry.name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(entry.name) || /^GITHUB_/i.test(entry.name)) {
+            throw new Error(`Invalid config: '${entryBreadcrump}.name' must only contain letters, numbers and underscores, must not start with a number and must not start with 'GITHUB_'.`);
+        }
+        if (entries.findIndex(other => other.name.toUpperCase() === entry.name.toUpperCase()) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains '${entry.name}' more than once.`);
+        }
+        if ('value' in entry) {
+            throw new Error(`Invalid config: '${entryBreadcrump}.value' is not supported. Use 'fromEnv' or 'fromFile' instead.`);
+        }
+        const sourceKeys = ['fromEnv', 'fromFile'].filter(key => key in entry);
+        if (sourceKeys.length !== 1) {
+            throw new Error(`Invalid config: '${entryBreadcrump}' must specify exactly one of 'fromEnv' or 'fromFile'.`);
+        }
+        if (typeof entry[sourceKeys[0]] !== 'string' || entry[sourceKeys[0]].length === 0) {
+            throw new Error(`Invalid config: '${entryBreadcrump}.${sourceKeys[0]}' must be of type 'String'.`);
+        }
+    });
+};
+
+/**
+ * @param {Object[]} deployKeys
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateDeployKeys = (deployKeys, breadcrump) => {
+    if (!Array.isArray(deployKeys)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    deployKeys.forEach((deployKey, index) => {
+        const deployKeyBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof deployKey !== 'object' || deployKey === null) {
+            throw new Error(`Invalid config: '${deployKeyBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof deployKey.title !== 'string' || deployKey.title.length === 0) {
+            throw new Error(`Invalid config: '${deployKeyBreadcrump}.title' must be of type 'String'.`);
+        }
+        if (deployKeys.findIndex(other => other.title === deployKey.title) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the deploy key '${deployKey.title}' more than once.`);
+        }
+        if (typeof deployKey.keyFile !== 'string' || deployKey.keyFile.length === 0) {
+            throw new Error(`Invalid config: '${deployKeyBreadcrump}.keyFile' must be of type 'String'.`);
+        }
+        if ('readOnly' in deployKey && typeof deployKey.readOnly !== 'boolean') {
+            throw new Error(`Invalid config: '${deployKeyBreadcrump}.readOnly' must be of type 'Boolean'.`);
+        }
+    });
+};
+
+/**
+ * @param {Object[]} autolinks
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateAutolinks = (autolinks, breadcrump) => {
+    if (!Array.isArray(autolinks)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    autolinks.forEach((autolink, index) => {
+        const autolinkBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof autolink !== 'object' || autolink === null) {
+            throw new Error(`Invalid config: '${autolinkBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof autolink.keyPrefix !== 'string' || autolink.keyPrefix.length === 0) {
+            throw new Error(`Invalid config: '${autolinkBreadcrump}.keyPrefix' must be of type 'String'.`);
+        }
+        if (autolinks.findIndex(other => other.keyPrefix === autolink.keyPrefix) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the autolink '${autolink.keyPrefix}' more than once.`);
+        }
+        if (typeof autolink.urlTemplate !== 'string' || !autolink.urlTemplate.includes('<num>')) {
+            throw new Error(`Invalid config: '${autolinkBreadcrump}.urlTemplate' must be a URL containing '<num>'.`);
+        }
+        if ('isAlphanumeric' in autolink && typeof autolink.isAlphanumeric !== 'boolean') {
+            throw new Error(`Invalid config: '${autolinkBreadcrump}.isAlphanumeric' must be of type 'Boolean'.`);
+        }
+    });
+};
+
+/**
+ * @param {Object[]} webhooks
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateWebhooks = (webhooks, breadcrump) => {
+    if (!Array.isArray(webhooks)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
+    }
+    webhooks.forEach((webhook, index) => {
+        const webhookBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof webhook !== 'object' || webhook === null) {
+            throw new Error(`Invalid config: '${webhookBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof webhook.url !== 'string' || !/^https?:\/\/.+/.test(webhook.url)) {
+            throw new Error(`Invalid config: '${webhookBreadcrump}.url' must be an HTTP(S) URL.`);
+        }
+        if (webhooks.findIndex(other => other.url === webhook.url) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the webhook '${webhook.url}' more than once.`);
+        }
+        if ('contentType' in webhook && !['json', 'form'].includes(webhook.contentType)) {
+            throw new Error(`Invalid config: '${webhookBreadcrump}.contentType' must be one of 'json' or 'form'.`);
+        }
+        if ('events' in webhook) {
+            validateStringArray(webhook.events, `${webhookBreadcrump}.events`);
+            if (webhook.events.length === 0) {
+                throw new Error(`Invalid config: '${webhookBreadcrump}.events' must contain at least one event.`);
+            }
+        }
+        if ('active' in webhook && typeof webhook.active !== 'boolean') {
+            throw new Error(`Invalid config: '${webhookBreadcrump}.active' must be of type 'Boolean'.`);
+        }
+        if ('secretFromEnv' in webhook && (typeof webhook.secretFromEnv !== 'string' || webhook.secretFromEnv.length === 0)) {
+            throw new Error(`Invalid config: '${webhookBreadcrump}.secretFromEnv' must be of type 'String'.`);
+        }
+    });
+};
+
+/**
+ * @param {Object[]} rulesets
+ * @param {String} breadcrump
+ * @param {Boolean} isOrgRuleset
+ * @throws {Error}
+ */
+const validateRulesets = (rulesets, breadcrump, isOrgRuleset) => {
+    if (!Array.isArray(rulesets)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Array'.`);
     }
+    rulesets.forEach((ruleset, index) => {
+        const rulesetBreadcrump = `${breadcrump}[${index}]`;
+        if (typeof ruleset !== 'object' || ruleset === null) {
+            throw new Error(`Invalid config: '${rulesetBreadcrump}' must be of type 'Object'.`);
+        }
+        if (typeof ruleset.name !== 'string' || ruleset.name.length === 0) {
+            throw new Error(`Invalid config: '${rulesetBreadcrump}.name' must be of type 'String'.`);
+        }
+        if (rulesets.findIndex(other => other.name === ruleset.name) !== index) {
+            throw new Error(`Invalid config: '${breadcrump}' contains the ruleset '${ruleset.name}' more than once.`);
+        }
+        if ('target' in ruleset && !['branch', 'tag', 'push'].includes(ruleset.target)) {
+            throw new Error(`Invalid config: '${rulesetBreadcrump}.target' must be one of 'branch', 'tag' or 'push'.`);
+        }
+        if ('enforcement' in ruleset && !['active', 'evaluate', 'disabled'].includes(ruleset.enforcement)) {
+            throw new Error(`Invalid config: '${rulesetBreadcrump}.enforcement' must be one of 'active', 'evaluate' or 'disabled'.`);
+        }
+        ['include', 'exclude'].filter(key => key in ruleset).forEach((key) => {
+            if (ruleset.target === 'push') {
+                throw new Error(`Invalid config: '${rulesetBreadcrump}.${key}' is not supported by rulesets with target 'push'.`);
+            }
+            validateStringArray(ruleset[key], `${rulesetBreadcrump}.${key}`);
+        });
+        if ('repositories' in ruleset) {
+            if (!isOrgRuleset) {
+                throw new Error(`Invalid config: '${rulesetBreadcrump}.repositories' is only supported by rulesets of the organization.`);
+            }
+            if (typeof ruleset.repositories !== 'object' || ruleset.repositories === null || Array.isArray(ruleset.repositories)) {
+                throw new Error(`Invalid config: '${rulesetBreadcrump}.repositories' must be of type 'Object'.`);
+            }
+            ['include', 'exclude'].filter(key => key in ruleset.repositories).forEach((key) => {
+                validateStringArray(ruleset.repositories[key], `${rulesetBreadcrump}.repositories.${key}`);
+            });
+        }
+        if ('bypassActors' in ruleset) {
+            if (!Array.isArray(ruleset.bypassActors)) {
+                throw new Error(`Invalid config: '${rulesetBreadcrump}.bypassActors' must be of type 'Array'.`);
+            }
+            ruleset.bypassActors.forEach((actor, actorIndex) => {
+                const actorBreadcrump = `${rulesetBreadcrump}.bypassActors[${actorIndex}]`;
+                if (typeof actor !== 'object' || actor === null) {
+                    throw new Error(`Invalid config: '${actorBreadcrump}' must be of type 'Object'.`);
+                }
+                if (!['team', 'app', 'role', 'organizationAdmin', 'deployKey'].includes(actor.type)) {
+                    throw new Error(`Invalid config: '${actorBreadcrump}.type' must be one of 'team', 'app', 'role', 'organizationAdmin' or 'deployKey'.`);
+                }
+                if (['team', 'app', 'role'].includes(actor.type) && (typeof actor.name !== 'string' || actor.name.length === 0)) {
+                    throw new Error(`Invalid config: '${actorBreadcrump}.name' must be of type 'String'.`);
+                }
+                if ('mode' in actor && !['always', 'pull_request'].includes(actor.mode)) {
+                    throw new Error(`Invalid config: '${actorBreadcrump}.mode' must be one of 'always' or 'pull_request'.`);
+                }
+            });
+        }
+        if ('rules' in ruleset) {
+            const { rules } = ruleset;
+            if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+                throw new Error(`Invalid config: '${rulesetBreadcrump}.rules' must be of type 'Object'.`);
+            }
+            if ('pullRequest' in rules) {
+                if (typeof rules.pullRequest !== 'object' || rules.pullRequest === null) {
+                    throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.pullRequest' must be of type 'Object'.`);
+                }
+                if ('requiredApprovingReviewCount' in rules.pullRequest) {
+                    const count = rules.pullRequest.requiredApprovingReviewCount;
+                    if (!Number.isInteger(count) || count < 0 || count > 10) {
+                        throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.pullRequest.requiredApprovingReviewCount' must be an integer between 0 and 10.`);
+                    }
+                }
+                ['dismissApprovalWhenChanged', 'requireCodeOwnerReview', 'requireLastPushApproval', 'requireConversationResolution']
+                    .filter(key => key in rules.pullRequest)
+                    .forEach((key) => {
+                        if (typeof rules.pullRequest[key] !== 'boolean') {
+                            throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.pullRequest.${key}' must be of type 'Boolean'.`);
+                        }
+                    });
+            }
+            if ('requireStatusChecks' in rules) {
+                if (typeof rules.requireStatusChecks !== 'object' || rules.requireStatusChecks === null) {
+                    throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.requireStatusChecks' must be of type 'Object'.`);
+                }
+                validateStringArray(rules.requireStatusChecks.statusChecks, `${rulesetBreadcrump}.rules.requireStatusChecks.statusChecks`);
+                if ('requireBranchUpToDate' in rules.requireStatusChecks && typeof rules.requireStatusChecks.requireBranchUpToDate !== 'boolean') {
+                    throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.requireStatusChecks.requireBranchUpToDate' must be of type 'Boolean'.`);
+                }
+            }
+            ['requireLinearHistory', 'requireSignatures'].filter(key => key in rules).forEach((key) => {
+                if (typeof rules[key] !== 'boolean') {
+                    throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.${key}' must be of type 'Boolean'.`);
+                }
+            });
+            if ('restrictFilePaths' in rules) {
+                if (ruleset.target !== 'push') {
+                    throw new Error(`Invalid config: '${rulesetBreadcrump}.rules.restrictFilePaths' is only supported by rulesets with target 'push'.`);
+                }
+                validateStringArray(rules.restrictFilePaths, `${rulesetBreadcrump}.rules.restrictFilePaths`);
+            }
+        }
+    });
 };
 
 /**
@@ -125,50 +798,206 @@ const validatePullRequestTemplate = (pullRequestTemplate, index) => {
  * @throws {Error}
  */
 const validateRepositorySettings = (settings, breadcrump) => {
+    ['description', 'homepage'].filter(key => key in settings).forEach((key) => {
+        if (typeof settings[key] !== 'string') {
+            throw new Error(`Invalid config: '${breadcrump}.${key}' must be of type 'String'.`);
+        }
+    });
+    if ('defaultBranch' in settings && (typeof settings.defaultBranch !== 'string' || settings.defaultBranch.length === 0)) {
+        throw new Error(`Invalid config: '${breadcrump}.defaultBranch' must be of type 'String'.`);
+    }
+    if ('visibility' in settings && !['public', 'private', 'internal'].includes(settings.visibility)) {
+        throw new Error(`Invalid config: '${breadcrump}.visibility' must be one of 'public', 'private' or 'internal'.`);
+    }
+    [
+        'hasIssues',
+        'hasWiki',
+        'hasProjects',
+        'hasDiscussions',
+        'allowMergeCommit',
+        'allowSquashMerge',
+        'allowRebaseMerge',
+        'allowAutoMerge',
+        'deleteBranchOnMerge',
+        'exhaustiveWebhooks',
+        'exhaustiveDeployKeys',
+        'exhaustiveAutolinks',
+    ].filter(key => key in settings).forEach((key) => {
+        if (typeof settings[key] !== 'boolean') {
+            throw new Error(`Invalid config: '${breadcrump}.${key}' must be of type 'Boolean'.`);
+        }
+    });
+    if ('topics' in settings) {
+        if (!Array.isArray(settings.topics)) {
+            throw new Error(`Invalid config: '${breadcrump}.topics' must be of type 'Array'.`);
+        }
+        if (settings.topics.length > 20) {
+            throw new Error(`Invalid config: '${breadcrump}.topics' must not contain more than 20 topics.`);
+        }
+        settings.topics.forEach((topic, index) => {
+            if (typeof topic !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(topic)) {
+                throw new Error(`Invalid config: '${breadcrump}.topics[${index}]' must be a valid topic, i.e. start with a lowercase letter or number, contain only lowercase letters, numbers and hyphens and consist of 50 characters or less. '${topic}' given.`);
+            }
+        });
+    }
+    if ('topicsMode' in settings && !['replace', 'additive'].includes(settings.topicsMode)) {
+        throw new Error(`Invalid config: '${breadcrump}.topicsMode' must be one of 'replace' or 'additive'.`);
+    }
+    if ('squashMergeCommitTitle' in settings && !['PR_TITLE', 'COMMIT_OR_PR_TITLE'].includes(settings.squashMergeCommitTitle)) {
+        throw new Error(`Invalid config: '${breadcrump}.squashMergeCommitTitle' must be one of 'PR_TITLE' or 'COMMIT_OR_PR_TITLE'.`);
+    }
+    if ('squashMergeCommitMessage' in settings && !['PR_BODY', 'COMMIT_MESSAGES', 'BLANK'].includes(settings.squashMergeCommitMessage)) {
+        throw new Error(`Invalid config: '${breadcrump}.squashMergeCommitMessage' must be one of 'PR_BODY', 'COMMIT_MESSAGES' or 'BLANK'.`);
+    }
+    if ('securityAndAnalysis' in settings) {
+        const securityBreadcrump = `${breadcrump}.securityAndAnalysis`;
+        if (typeof settings.securityAndAnalysis !== 'object' || settings.securityAndAnalysis === null || Array.isArray(settings.securityAndAnalysis)) {
+            throw new Error(`Invalid config: '${securityBreadcrump}' must be of type 'Object'.`);
+        }
+        const securityKeys = ['vulnerabilityAlerts', 'dependabotSecurityUpdates', 'secretScanning', 'secretScanningPushProtection'];
+        Object.keys(settings.securityAndAnalysis).forEach((key) => {
+            if (!securityKeys.includes(key)) {
+                throw new Error(`Invalid config: '${securityBreadcrump}.${key}' is not supported. Use one of ${securityKeys.map(securityKey => `'${securityKey}'`).join(', ')}.`);
+            }
+            if (typeof settings.securityAndAnalysis[key] !== 'boolean') {
+                throw new Error(`Invalid config: '${securityBreadcrump}.${key}' must be of type 'Boolean'.`);
+            }
+        });
+        if (settings.securityAndAnalysis.dependabotSecurityUpdates && settings.securityAndAnalysis.vulnerabilityAlerts === false) {
+            throw new Error(`Invalid config: '${securityBreadcrump}.dependabotSecurityUpdates' requires 'vulnerabilityAlerts' to be enabled.`);
+        }
+        if (settings.securityAndAnalysis.secretScanningPushProtection && settings.securityAndAnalysis.secretScanning === false) {
+            throw new Error(`Invalid config: '${securityBreadcrump}.secretScanningPushProtection' requires 'secretScanning' to be enabled.`);
+        }
+    }
+    if ('deployKeys' in settings) {
+        validateDeployKeys(settings.deployKeys, `${breadcrump}.deployKeys`);
+    }
+    if ('autolinks' in settings) {
+        validateAutolinks(settings.autolinks, `${breadcrump}.autolinks`);
+    }
+    if ('webhooks' in settings) {
+        validateWebhooks(settings.webhooks, `${breadcrump}.webhooks`);
+    }
+    if ('rulesets' in settings) {
+        validateRulesets(settings.rulesets, `${breadcrump}.rulesets`, false);
+    }
     if ('protectedBranches' in settings) {
         if (!Array.isArray(settings.protectedBranches)) {
             throw new Error(`Invalid config: '${breadcrump}.protectedBranches' must be of type 'Array'.`);
         }
         settings.protectedBranches.forEach((branchSettings, index) => {
+            const branchBreadcrump = `${breadcrump}.protectedBranches[${index}]`;
             if (typeof branchSettings !== 'object') {
-                throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}]' must be of type 'Object'.`);
+                throw new Error(`Invalid config: '${branchBreadcrump}' must be of type 'Object'.`);
             }
             if (typeof branchSettings.name !== 'string' || branchSettings.name.length === 0) {
-                throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].name' must be of type 'String'.`);
+                throw new Error(`Invalid config: '${branchBreadcrump}.name' must be of type 'String'.`);
+            }
+            if (settings.protectedBranches.findIndex(other => other.name === branchSettings.name) !== index) {
+                throw new Error(`Invalid config: '${breadcrump}.protectedBranches' contains the branch pattern '${branchSettings.name}' more than once.`);
             }
             if ('requireReviews' in branchSettings) {
                 if (typeof branchSettings.requireReviews !== 'object') {
-                    throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireReviews' must be of type 'Object'.`);
+                    throw new Error(`Invalid config: '${branchBreadcrump}.requireReviews' must be of type 'Object'.`);
                 }
                 if ('dismissApprovalWhenChanged' in branchSettings.requireReviews && typeof branchSettings.requireReviews.dismissApprovalWhenChanged !== 'boolean') {
-                    throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireReviews.dismissApprovalWhenChanged' must be of type 'Boolean'.`);
+                    throw new Error(`Invalid config: '${branchBreadcrump}.requireReviews.dismissApprovalWhenChanged' must be of type 'Boolean'.`);
                 }
                 if ('requireCodeOwnerReview' in branchSettings.requireReviews && typeof branchSettings.requireReviews.requireCodeOwnerReview !== 'boolean') {
-                    throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireReviews.requireCodeOwnerReview' must be of type 'Boolean'.`);
+                    throw new Error(`Invalid config: '${branchBreadcrump}.requireReviews.requireCodeOwnerReview' must be of type 'Boolean'.`);
+                }
+                if ('requiredApprovingReviewCount' in branchSettings.requireReviews) {
+                    const count = branchSettings.requireReviews.requiredApprovingReviewCount;
+                    if (!Number.isInteger(count) || count < 0 || count > 6) {
+                        throw new Error(`Invalid config: '${branchBreadcrump}.requireReviews.requiredApprovingReviewCount' must be an integer between 0 and 6.`);
+                    }
+                }
+                if ('bypassAllowances' in branchSettings.requireReviews) {
+                    validateActorLists(branchSettings.requireReviews.bypassAllowances, `${branchBreadcrump}.requireReviews.bypassAllowances`);
                 }
             }
             if ('requireStatusChecks' in branchSettings) {
                 if (typeof branchSettings.requireStatusChecks !== 'object') {
-                    throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireStatusChecks' must be of type 'Object'.`);
+                    throw new Error(`Invalid config: '${branchBreadcrump}.requireStatusChecks' must be of type 'Object'.`);
                 }
                 if ('statusChecks' in branchSettings.requireStatusChecks) {
                     if (!Array.isArray(branchSettings.requireStatusChecks.statusChecks)) {
-                        throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireStatusChecks.statusChecks' must be of type 'Array'.`);
+                        throw new Error(`Invalid config: '${branchBreadcrump}.requireStatusChecks.statusChecks' must be of type 'Array'.`);
                     }
                     branchSettings.requireStatusChecks.statusChecks.forEach((statusCheck, statusCheckIndex) => {
                         if (typeof statusCheck !== 'string' || statusCheck.length === 0) {
-                            throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireStatusChecks.statusChecks[${statusCheckIndex}]' must be of type 'String'.`);
+                            throw new Error(`Invalid config: '${branchBreadcrump}.requireStatusChecks.statusChecks[${statusCheckIndex}]' must be of type 'String'.`);
                         }
                     });
                 } else {
                     branchSettings.requireStatusChecks.statusChecks = [];
                 }
                 if ('requireBranchUpToDate' in branchSettings.requireStatusChecks && typeof branchSettings.requireStatusChecks.requireBranchUpToDate !== 'boolean') {
-                    throw new Error(`Invalid config: '${breadcrump}.protectedBranches[${index}].requireStatusChecks.requireBranchUpToDate' must be of type 'Boolean'.`);
+                    throw new Error(`Invalid config: '${branchBreadcrump}.requireStatusChecks.requireBranchUpToDate' must be of type 'Boolean'.`);
                 }
             }
+            if ('restrictions' in branchSettings) {
+                validateActorLists(branchSettings.restrictions, `${branchBreadcrump}.restrictions`);
+            }
+            [
+                'enforceAdmins',
+                'requireLinearHistory',
+                'allowForcePushes',
+                'allowDeletions',
+                'requireConversationResolution',
+                'requireSignatures',
+            ].filter(key => key in branchSettings).forEach((key) => {
+                if (typeof branchSettings[key] !== 'boolean') {
+                    throw new Error(`Invalid config: '${branchBreadcrump}.${key}' must be of type 'Boolean'.`);
+                }
+            });
+        });
+    }
+};
+
+/**
+ * @param {String} pattern
+ * @return {String|null} The reason why the passed pattern is not a valid regular expression, if it is invalid.
+ */
+const findRegExpError = (pattern) => {
+    try {
+        RegExp(pattern);
+    } catch (err) {
+        return err.message;
+    }
+
+    return null;
+};
+
+/**
+ * @param {Object} selector
+ * @param {String} breadcrump
+ * @throws {Error}
+ */
+const validateRepositorySelector = (selector, breadcrump) => {
+    if (typeof selector !== 'object' || selector === null || Array.isArray(selector)) {
+        throw new Error(`Invalid config: '${breadcrump}' must be of type 'Object'.`);
+    }
+    if ('topics' in selector) {
+        if (!Array.isArray(selector.topics)) {
+            throw new Error(`Invalid config: '${breadcrump}.topics' must be of type 'Array'.`);
+        }
+        selector.topics.forEach((topic, index) => {
+            if (typeof topic !== 'string' || topic.length === 0) {
+                throw new Error(`Invalid config: '${breadcrump}.topics[${index}]' must be of type 'String'.`);
+            }
         });
     }
+    if ('visibility' in selector && !['public', 'private', 'internal'].includes(selector.visibility)) {
+        throw new Error(`Invalid config: '${breadcrump}.visibility' must be one of 'public', 'private' or 'internal'.`);
+    }
+    if ('language' in selector && (typeof selector.language !== 'string' || selector.language.length === 0)) {
+        throw new Error(`Invalid config: '${breadcrump}.language' must be of type 'String'.`);
+    }
+    if ('archived' in selector && typeof selector.archived !== 'boolean') {
+        throw new Error(`Invalid config: '${breadcrump}.archived' must be of type 'Boolean'.`);
+    }
 };
 
 /**
@@ -178,50 +1007,94 @@ const validateRepositorySettings = (settings, breadcrump) => {
  */
 const validateRepository = (repository, index) => {
     if (typeof repository !== 'object') {
-        throw new Error(`Invalid config: 'repositorys[${index}]' must be of type 'Object'.`);
+        throw new Error(`Invalid config: 'repositories[${index}]' must be of type 'Object'.`);
+    }
+    if ('name' in repository || !('match' in repository)) {
+        if (typeof repository.name !== 'string' || repository.name.length === 0) {
+            throw new Error(`Invalid config: 'repositories[${index}].name' must be of type 'String'.`);
+        }
+        if (repository.name.length > 2 && repository.name.startsWith('/') && repository.name.endsWith('/')) {
+            const regExpError = findRegExpError(repository.name.slice(1, -1));
+            if (regExpError) {
+                throw new Error(`Invalid config: 'repositories[${index}].name' is not a valid regular expression: ${regExpError}`);
+            }
+        }
     }
-    if (typeof repository.name !== 'string' || repository.name.length === 0) {
-        throw new Error(`Invalid config: 'repositorys[${index}].name' must be of type 'String'.`);
+    if ('match' in repository) {
+        validateRepositorySelector(repository.match, `repositories[${index}].match`);
     }
     if ('clearCollaborators' in repository && typeof repository.clearCollaborators !== 'boolean') {
-        throw new Error(`Invalid config: 'repositorys[${index}].clearCollaborators' must be of type 'Boolean'.`);
+        throw new Error(`Invalid config: 'repositories[${index}].clearCollaborators' must be of type 'Boolean'.`);
     }
     if ('teamPermissions' in repository) {
         if (!Array.isArray(repository.teamPermissions)) {
-            throw new Error(`Invalid config: 'repositorys[${index}].teamPermissions' must be of type 'Array'.`);
+            throw new Error(`Invalid config: 'repositories[${index}].teamPermissions' must be of type 'Array'.`);
         }
         repository.teamPermissions.forEach((permission, permissionIndex) => {
             if (typeof permission !== 'object') {
-                throw new Error(`Invalid config: 'repository[${index}].teamPermissions[${permissionIndex}]' must be of type 'Object'.`);
+                throw new Error(`Invalid config: 'repositories[${index}].teamPermissions[${permissionIndex}]' must be of type 'Object'.`);
             }
             if (typeof permission.teamName !== 'string' || permission.teamName.length === 0) {
-                throw new Error(`Invalid config: 'repository[${index}].teamPermissions[${permissionIndex}].teamName' must be of type 'String'.`);
+                throw new Error(`Invalid config: 'repositories[${index}].teamPermissions[${permissionIndex}].teamName' must be of type 'String'.`);
             }
             if ((typeof permission.permission !== 'string' || permission.permission.length === 0) && permission.permission !== null) {
-                throw new Error(`Invalid config: 'repository[${index}].teamPermissions[${permissionIndex}].permission' must be of type 'String'.`);
+                throw new Error(`Invalid config: 'repositories[${index}].teamPermissions[${permissionIndex}].permission' must be of type 'String'.`);
             }
-            try {
-                parsePermissionString(permission.permission);
-            } catch (err) {
-                throw new Error(`Invalid config: 'repository[${index}].teamPermissions[${permissionIndex}].permission' has an invalid value: ${err.message}`);
+            if (parsePermissionString(permission.permission) === undefined) {
+                throw new Error(`Invalid config: 'repositories[${index}].teamPermissions[${permissionIndex}].permission' must be ${PERMISSION_VALUES}.`);
             }
         });
     } else {
         repository.teamPermissions = [];
     }
+    if ('collaborators' in repository) {
+        if (!Array.isArray(repository.collaborators)) {
+            throw new Error(`Invalid config: 'repositories[${index}].collaborators' must be of type 'Array'.`);
+        }
+        repository.collaborators.forEach((collaborator, collaboratorIndex) => {
+            if (typeof collaborator !== 'object' || collaborator === null) {
+                throw new Error(`Invalid config: 'repositories[${index}].collaborators[${collaboratorIndex}]' must be of type 'Object'.`);
+            }
+            if (typeof collaborator.username !== 'string' || collaborator.username.length === 0) {
+                throw new Error(`Invalid config: 'repositories[${index}].collaborators[${collaboratorIndex}].username' must be of type 'String'.`);
+            }
+            if (typeof collaborator.permission !== 'string' || collaborator.permission.length === 0) {
+                throw new Error(`Invalid config: 'repositories[${index}].collaborators[${collaboratorIndex}].permission' must be of type 'String'.`);
+            }
+            if (parsePermissionString(collaborator.permission) === undefined) {
+                throw new Error(`Invalid config: 'repositories[${index}].collaborators[${collaboratorIndex}].permission' must be ${PERMISSION_VALUES}.`);
+            }
+            if (parsePermissionString(collaborator.permission) === null) {
+                throw new Error(`Invalid config: 'repositories[${index}].collaborators[${collaboratorIndex}].permission' must not be 'none'. Remove the collaborator from the list instead.`);
+            }
+            if (repository.collaborators.findIndex(other => other.username.toLowerCase() === collaborator.username.toLowerCase()) !== collaboratorIndex) {
+                throw new Error(`Invalid config: 'repositories[${index}].collaborators' contains user '${collaborator.username}' more than once.`);
+            }
+        });
+    }
+    ['secrets', 'variables'].filter(key => key in repository).forEach((key) => {
+        validateActionsEntries(repository[key], `repositories[${index}].${key}`);
+    });
     if ('settings' in repository) {
-        validateRepositorySettings(repository.settings, `repository[${index}].settings`);
+        validateRepositorySettings(repository.settings, `repositories[${index}].settings`);
     } else {
         repository.settings = {};
     }
 };
 
 /**
+ * Config keys whose values are paths, which are resolved relative to the config file they are defined in.
+ */
+const PATH_KEYS = ['fromFile', 'keyFile', 'templateFile'];
+
+/**
+ * Loads and parses the passed config file based on its extension.
+ *
  * @param {String} filePath
  * @return {Object}
  * @throws {Error}
  */
-module.exports = async (filePath) => {
+const parseConfigFile = async (filePath) => {
     // Check whether config file exists
     const fileExists = await fs.exists(filePath);
     if (!fileExists) {
@@ -231,19 +1104,152 @@ module.exports = async (filePath) => {
     // Load and parse the file based on its extension
     const rawConfig = await fs.readFile(filePath, 'utf8');
     const fileExtension = path.extname(filePath).toLowerCase();
-    let config;
+    let parse;
     switch (fileExtension) {
         case '.yml':
         case '.yaml':
-            config = yaml.load(rawConfig);
+            parse = yaml.load;
             break;
         case '.json':
-            config = JSON.parse(rawConfig);
+            parse = json => JSON.parse(json);
             break;
         default:
             throw new Error(`Invalid config file extension ${fileExtension}. Please use 'yml'/'yaml' or 'json'.`);
     }
+    let config;
+    try {
+        config = parse(rawConfig);
+    } catch (err) {
+        throw new Error(`Failed to parse config file ${filePath}: ${err.message}`);
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Invalid config: the file ${filePath} must contain an object.`);
+    }
+
+    return config;
+};
+
+/**
+ * Interpolates the environment variables referenced in the passed string (see `interpolateEnvironmentVariables`).
+ *
+ * @param {String} value
+ * @param {String} filePath
+ * @param {String} breadcrump
+ * @param {Object} options
+ * @param {Boolean} options.allowUnsetEnvironmentVariables Pass true to keep references to unset variables as they are.
+ * @return {String}
+ * @throws {Error} If a referenced environment variable is not set.
+ */
+const interpolateValue = (value, filePath, breadcrump, { allowUnsetEnvironmentVariables }) => interpolateEnvironmentVariables(value, (name) => {
+    if (!allowUnsetEnvironmentVariables) {
+        throw new Error(`Invalid config: '${breadcrump}' references the environment variable '${name}', which is not set (in ${filePath}).`);
+    }
+
+    return `\${${name}}`;
+});
+
+/**
+ * Recursively interpolates environment variables, resolves relative paths and records the passed file as the source
+ * of all values of the passed (parsed) config value.
+ *
+ * @param {*} value
+ * @param {String} filePath
+ * @param {String} breadcrump
+ * @param {Object} options See `interpolateValue`.
+ * @return {*}
+ */
+const prepareValue = (value, filePath, breadcrump, options) => {
+    if (typeof value === 'string') {
+        return interpolateValue(value, filePath, breadcrump, options);
+    }
+    if (Array.isArray(value)) {
+        return value.map((entry, index) => prepareValue(entry, filePath, `${breadcrump}[${index}]`, options));
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    const preparedValue = {};
+    preparedValue[SOURCES] = {};
+    Object.entries(value).forEach(([key, entry]) => {
+        const keyBreadcrump = breadcrump ? `${breadcrump}.${key}` : key;
+        preparedValue[key] = prepareValue(entry, filePath, keyBreadcrump, options);
+        if (PATH_KEYS.includes(key) && typeof preparedValue[key] === 'string') {
+            preparedValue[key] = path.resolve(path.dirname(filePath), preparedValue[key]);
+        }
+        preparedValue[SOURCES][key] = filePath;
+    });
+
+    return preparedValue;
+};
+
+/**
+ * Loads the passed config file including all files it `extends` or `include`s and merges them into a single config.
+ * The config of the file itself is merged into the included configs, which in turn are merged (in the listed order)
+ * into the extended config.
+ *
+ * @param {String} filePath
+ * @param {Object} options See `interpolateValue`.
+ * @param {String[]} loadingFilePaths The absolute paths of all files that are currently being loaded.
+ * @return {Object}
+ * @throws {Error}
+ */
+const loadConfigFile = async (filePath, options, loadingFilePaths = []) => {
+    const absoluteFilePath = path.resolve(filePath);
+    if (loadingFilePaths.includes(absoluteFilePath)) {
+        throw new Error(`Invalid config: the config files extend or include each other in a cycle (${[...loadingFilePaths, absoluteFilePath].join(' → ')}).`);
+    }
+    const { extends: extendedFile, include, ...ownConfig } = prepareValue(await parseConfigFile(filePath), filePath, '', options);
+    if (extendedFile !== undefined && (typeof extendedFile !== 'string' || extendedFile.length === 0)) {
+        throw new Error(`Invalid config: 'extends' must be of type 'String' (in ${filePath}).`);
+    }
+    const includedFiles = (typeof include === 'string') ? [include] : (include || []);
+    if (!Array.isArray(includedFiles) || includedFiles.some(file => typeof file !== 'string' || file.length === 0)) {
+        throw new Error(`Invalid config: 'include' must be of type 'String' or 'Array' of 'String' (in ${filePath}).`);
+    }
+
+    const resolvePath = file => path.resolve(path.dirname(filePath), file);
+    const nestedLoadingFilePaths = [...loadingFilePaths, absoluteFilePath];
+    let config = extendedFile ? await loadConfigFile(resolvePath(extendedFile), options, nestedLoadingFilePaths) : {};
+    await asyncSequence(includedFiles, async (file) => {
+        config = mergeConfig(config, await loadConfigFile(resolvePath(file), options, nestedLoadingFilePaths));
+    });
 
+    return mergeConfig(config, ownConfig);
+};
+
+/**
+ * Returns the config file that defined the value at the passed breadcrump (e.g. `teams[0].defaultPermission`), i.e. the
+ * most specific source known for the value or any of its parents.
+ *
+ * @param {Object} config
+ * @param {String} breadcrump
+ * @return {String|undefined}
+ */
+const findSourceFile = (config, breadcrump) => {
+    let sourceFile;
+    let value = config;
+    breadcrump.split(/[.[\]]+/).filter(segment => segment.length > 0).every((segment) => {
+        if (value === null || typeof value !== 'object' || !(segment in value)) {
+            return false;
+        }
+        if (value[SOURCES] && value[SOURCES][segment]) {
+            sourceFile = value[SOURCES][segment];
+        }
+        value = value[segment];
+
+        return true;
+    });
+
+    return sourceFile;
+};
+
+/**
+ * @param {Object} config
+ * @return {Object}
+ * @throws {Error}
+ */
+const validateConfig = (config) => {
     // Validate config
     if (!config.orgName) {
         throw new Error('Invalid config: missing required field \'orgName\'.');
@@ -255,6 +1261,7 @@ module.exports = async (filePath) => {
             throw new Error('Invalid config: \'teams\' must be of type \'Array\'.');
         }
         config.teams.forEach(validateTeam);
+        validateTeamHierarchy(config.teams);
     } else {
         config.teams = [];
     }
@@ -262,20 +1269,48 @@ module.exports = async (filePath) => {
         if (!Array.isArray(config.issueLabels)) {
             throw new Error('Invalid config: \'issueLabels\' must be of type \'Array\'.');
         }
-        config.issueLabels.forEach(validateIssueLabel);
+        config.issueLabels.forEach((issueLabel, index) => validateIssueLabel(issueLabel, index));
+        validatePreviousIssueLabelNames(config.issueLabels, 'issueLabels');
     } else {
         config.issueLabels = [];
     }
+    if (config.issueLabelSettings) {
+        validateIssueLabelSettings(config.issueLabelSettings, 'issueLabelSettings');
+        validateIssueLabelMergeTargets(config.issueLabelSettings, config.issueLabels, sourceName => `issueLabelSettings.mergeInto.${sourceName}`);
+    } else {
+        config.issueLabelSettings = { mergeInto: {} };
+    }
     if (config.issueTemplates) {
         if (!Array.isArray(config.issueTemplates)) {
             throw new Error('Invalid config: \'issueTemplates\' must be of type \'Array\'.');
         }
-        config.issueTemplates.forEach(validateIssueTemplate);
+        config.issueTemplates.forEach((issueTemplate, index) => validateIssueTemplate(issueTemplate, index));
     } else {
         config.issueTemplates = [];
     }
     if (config.pullRequestTemplate) {
-        validatePullRequestTemplate(config.pullRequestTemplate);
+        validatePullRequestTemplate(config.pullRequestTemplate, 'pullRequestTemplate');
+    }
+    if ('pullRequestTemplates' in config) {
+        validatePullRequestTemplates(config.pullRequestTemplates, 'pullRequestTemplates');
+    }
+    if ('templateDelivery' in config) {
+        validateFileDelivery(config.templateDelivery, 'templateDelivery');
+    }
+    if ('issueTemplateConfig' in config) {
+        validateIssueTemplateConfig(config.issueTemplateConfig, 'issueTemplateConfig');
+    }
+    if ('managedFiles' in config) {
+        validateManagedFiles(config.managedFiles, 'managedFiles', true);
+    }
+    if ('managedFilesDelivery' in config) {
+        validateFileDelivery(config.managedFilesDelivery, 'managedFilesDelivery');
+    }
+    if ('codeOwners' in config) {
+        validateCodeOwners(config.codeOwners, 'codeOwners', config.teams);
+    }
+    if ('codeOwnersDelivery' in config) {
+        validateFileDelivery(config.codeOwnersDelivery, 'codeOwnersDelivery');
     }
     if (config.repositorySettings) {
         if (typeof config.repositorySettings !== 'object') {
@@ -285,6 +1320,12 @@ module.exports = async (filePath) => {
     } else {
         config.repositorySettings = {};
     }
+    if ('rulesets' in config) {
+        validateRulesets(config.rulesets, 'rulesets', true);
+    }
+    ['secrets', 'variables'].filter(key => key in config).forEach((key) => {
+        validateActionsEntries(config[key], key);
+    });
     if (config.repositories) {
         if (!Array.isArray(config.repositories)) {
             throw new Error('Invalid config: \'repositories\' must be of type \'Array\'.');
@@ -295,30 +1336,62 @@ module.exports = async (filePath) => {
     }
 
     // Convert some config values
-    config.teams.forEach((team) => {
+    config.teams.forEach((team, index) => {
         team.defaultPermission = parsePermissionString(team.defaultPermission);
+        normalizeTeamMembers(team, index);
     });
-    config.repositories.filter(repository => repository.teamPermissions).forEach((repository) => {
-        repository.teamPermissions.forEach((teamPermission) => {
+    config.repositories.forEach((repository) => {
+        (repository.teamPermissions || []).forEach((teamPermission) => {
             teamPermission.permission = parsePermissionString(teamPermission.permission);
         });
+        (repository.collaborators || []).forEach((collaborator) => {
+            collaborator.permission = parsePermissionString(collaborator.permission);
+        });
     });
-    config.repositories.forEach((repository) => {
+    config.repositories.forEach((repository, index) => {
         if (repository.issueLabels && repository.additionalIssueLabels) {
-            throw new Error(`Invalid config: '${repository.name}' must not specify both 'issueLabels' and 'additionalIssueLabels'`);
+            throw new Error(`Invalid config: 'repositories[${index}]' must not specify both 'issueLabels' and 'additionalIssueLabels'`);
         }
         if (repository.issueLabels) {
-            repository.issueLabels.forEach(validateIssueLabel);
+            repository.issueLabels.forEach((issueLabel, labelIndex) => validateIssueLabel(issueLabel, labelIndex, `repositories[${index}].issueLabels`));
+            validatePreviousIssueLabelNames(repository.issueLabels, `repositories[${index}].issueLabels`);
         }
         if (repository.additionalIssueLabels) {
-            repository.additionalIssueLabels.forEach(validateIssueLabel);
+            repository.additionalIssueLabels.forEach((issueLabel, labelIndex) => validateIssueLabel(issueLabel, labelIndex, `repositories[${index}].additionalIssueLabels`));
             repository.issueLabels = [...config.issueLabels, ...repository.additionalIssueLabels];
+            validatePreviousIssueLabelNames(repository.issueLabels, `repositories[${index}].additionalIssueLabels`);
+        }
+        if (repository.issueLabelSettings) {
+            validateIssueLabelSettings(repository.issueLabelSettings, `repositories[${index}].issueLabelSettings`);
+        }
+        if (repository.issueLabels || repository.issueLabelSettings) {
+            // Validate the settings as merged by the issue labels command
+            const repositoryMergeInto = (repository.issueLabelSettings && repository.issueLabelSettings.mergeInto) || {};
+            validateIssueLabelMergeTargets({
+                ...config.issueLabelSettings,
+                ...(repository.issueLabelSettings || {}),
+                mergeInto: { ...config.issueLabelSettings.mergeInto, ...repositoryMergeInto },
+            }, repository.issueLabels || config.issueLabels, sourceName => (
+                (sourceName in repositoryMergeInto) ? `repositories[${index}].issueLabelSettings.mergeInto.${sourceName}` : `issueLabelSettings.mergeInto.${sourceName}`
+            ), `repositories[${index}]`);
         }
         if (repository.issueTemplates) {
-            repository.issueTemplates.forEach(validateIssueTemplate);
+            repository.issueTemplates.forEach((issueTemplate, templateIndex) => validateIssueTemplate(issueTemplate, templateIndex, `repositories[${index}].issueTemplates`));
         }
         if (repository.pullRequestTemplate) {
-            validatePullRequestTemplate(repository.pullRequestTemplate);
+            validatePullRequestTemplate(repository.pullRequestTemplate, `repositories[${index}].pullRequestTemplate`);
+        }
+        if ('pullRequestTemplates' in repository) {
+            validatePullRequestTemplates(repository.pullRequestTemplates, `repositories[${index}].pullRequestTemplates`);
+        }
+        if ('issueTemplateConfig' in repository) {
+            validateIssueTemplateConfig(repository.issueTemplateConfig, `repositories[${index}].issueTemplateConfig`);
+        }
+        if ('managedFiles' in repository) {
+            validateManagedFiles(repository.managedFiles, `repositories[${index}].managedFiles`, false);
+        }
+        if ('codeOwners' in repository) {
+            validateCodeOwners(repository.codeOwners, `repositories[${index}].codeOwners`, config.teams);
         }
     });
     config.issueLabels.forEach((label) => {
@@ -327,3 +1400,26 @@ module.exports = async (filePath) => {
 
     return config;
 };
+
+/**
+ * @param {String} filePath
+ * @param {Object} options (optional)
+ * @param {Boolean} options.allowUnsetEnvironmentVariables Pass true to keep references to environment variables that
+ *        are not set (e.g. `${NAME}`) instead of throwing, e.g. to validate a config without knowing its secrets.
+ * @return {Object}
+ * @throws {Error}
+ */
+module.exports = async (filePath, { allowUnsetEnvironmentVariables = false } = {}) => {
+    const config = await loadConfigFile(filePath, { allowUnsetEnvironmentVariables });
+    try {
+        return validateConfig(config);
+    } catch (err) {
+        // Point to the file that defined the invalid value, because it might not be the passed one
+        const breadcrumpMatch = err.message.match(/^Invalid config: '([^']+)'/);
+        const sourceFile = breadcrumpMatch ? findSourceFile(config, breadcrumpMatch[1]) : undefined;
+        if (sourceFile) {
+            err.message = `${err.message} (in ${sourceFile})`;
+        }
+        throw err;
+    }
+};
@@ -0,0 +1,19 @@
+const sodium = require('libsodium-wrappers');
+
+/**
+ * Encrypts the passed value using a sealed box for the passed public key of a repository, which is how GitHub expects
+ * the values of Actions secrets to be uploaded.
+ *
+ * @param {String} value
+ * @param {String} publicKey The base64 encoded public key.
+ * @return {String} The base64 encoded encrypted value.
+ */
+module.exports = async (value, publicKey) => {
+    await sodium.ready;
+    const encryptedValue = sodium.crypto_box_seal(
+        sodium.from_string(value),
+        sodium.from_base64(publicKey, sodium.base64_variants.ORIGINAL),
+    );
+
+    return sodium.to_base64(encryptedValue, sodium.base64_variants.ORIGINAL);
+};
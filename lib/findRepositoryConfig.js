@@ -0,0 +1,136 @@
+const { mergeConfig } = require('./mergeConfig');
+
+/**
+ * @param {String} name
+ * @return {Boolean}
+ */
+const isRegexName = name => name.length > 2 && name.startsWith('/') && name.endsWith('/');
+
+/**
+ * @param {String} name
+ * @return {Boolean}
+ */
+const isGlobName = name => /[*?]/.test(name);
+
+/**
+ * Converts the passed glob pattern, which may contain the wildcards `*` (any number of characters) and `?` (exactly one
+ * character), to a regular expression.
+ *
+ * @param {String} glob
+ * @return {RegExp}
+ */
+const globToRegExp = (glob) => {
+    const pattern = glob
+        .split('')
+        .map((character) => {
+            if (character === '*') {
+                return '.*';
+            }
+            if (character === '?') {
+                return '.';
+            }
+
+            return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+
+    return new RegExp(`^${pattern}$`, 'i');
+};
+
+/**
+ * @param {Object} githubRepository
+ * @return {String}
+ */
+const getVisibility = githubRepository => githubRepository.visibility || (githubRepository.private ? 'private' : 'public');
+
+/**
+ * Matches the passed name, glob pattern or regular expression against the name of the passed repository. Like
+ * repository names on GitHub, all of them are matched case insensitively.
+ *
+ * @param {String} name
+ * @param {Object} githubRepository
+ * @return {Boolean}
+ */
+const matchesName = (name, githubRepository) => {
+    if (isRegexName(name)) {
+        return new RegExp(name.slice(1, -1), 'i').test(githubRepository.name);
+    }
+    if (isGlobName(name)) {
+        return globToRegExp(name).test(githubRepository.name);
+    }
+
+    return name.toLowerCase() === githubRepository.name.toLowerCase();
+};
+
+/**
+ * @param {Object} selector
+ * @param {Object} githubRepository
+ * @return {Boolean}
+ */
+const matchesSelector = (selector, githubRepository) => {
+    if (selector.topics) {
+        const repositoryTopics = (githubRepository.topics || []).map(topic => topic.toLowerCase());
+        if (!selector.topics.every(topic => repositoryTopics.includes(topic.toLowerCase()))) {
+            return false;
+        }
+    }
+    if (selector.visibility && selector.visibility !== getVisibility(githubRepository)) {
+        return false;
+    }
+    if (selector.language && (githubRepository.language || '').toLowerCase() !== selector.language.toLowerCase()) {
+        return false;
+    }
+    if ('archived' in selector && selector.archived !== githubRepository.archived) {
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Returns the precedence of the passed repository config. Entries matching an exact name take precedence over entries
+ * matching a name pattern, which in turn take precedence over entries using only a selector.
+ *
+ * @param {Object} repositoryConfig
+ * @return {Number}
+ */
+const getPrecedence = (repositoryConfig) => {
+    if (!repositoryConfig.name) {
+        return 0;
+    }
+
+    return (isRegexName(repositoryConfig.name) || isGlobName(repositoryConfig.name)) ? 1 : 2;
+};
+
+/**
+ * Finds all entries of `configRepositories` that match the passed GitHub repository and merges them into a single
+ * repository config. Entries with a higher precedence (see `getPrecedence()`) override entries with a lower precedence.
+ * Entries having the same precedence are applied in the order of the config, i.e. later entries override earlier ones.
+ *
+ * @param {Object[]} configRepositories
+ * @param {Object} githubRepository
+ * @return {Object|undefined}
+ */
+module.exports = (configRepositories, githubRepository) => {
+    const matchingConfigs = configRepositories
+        .filter(repositoryConfig => (
+            (!repositoryConfig.name || matchesName(repositoryConfig.name, githubRepository))
+            && (!repositoryConfig.match || matchesSelector(repositoryConfig.match, githubRepository))
+        ))
+        .map((repositoryConfig, index) => ({
+            repositoryConfig,
+            index,
+        }))
+        .sort((lhs, rhs) => (getPrecedence(lhs.repositoryConfig) - getPrecedence(rhs.repositoryConfig)) || (lhs.index - rhs.index))
+        .map(({ repositoryConfig }) => repositoryConfig);
+    if (matchingConfigs.length === 0) {
+        return undefined;
+    }
+
+    const { match, ...repositoryConfig } = matchingConfigs.reduce(mergeConfig, {});
+
+    return {
+        ...repositoryConfig,
+        name: githubRepository.name,
+    };
+};
@@ -0,0 +1,19 @@
+/**
+ * Replaces all references to environment variables like `${NAME}` in the passed string. A reference can be escaped by
+ * prefixing it with another `$`, i.e. `$${NAME}` results in the literal `${NAME}`.
+ *
+ * @param {String} value
+ * @param {Function} replaceUnsetVariable Is called with the name of each referenced variable that is not set and
+ *        returns the replacement of the reference (or throws).
+ * @return {String}
+ */
+module.exports = (value, replaceUnsetVariable) => value.replace(/\$?\$\{([^}]*)\}/g, (reference, name) => {
+    if (reference.startsWith('$$')) {
+        return reference.slice(1);
+    }
+    if (!(name in process.env)) {
+        return replaceUnsetVariable(name);
+    }
+
+    return process.env[name];
+});
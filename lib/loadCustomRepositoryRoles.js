@@ -0,0 +1,38 @@
+const limiter = require('./limiter');
+
+const BUILT_IN_PERMISSIONS = ['admin', 'maintain', 'push', 'triage', 'pull'];
+
+/**
+ * Loads the custom repository roles of the passed org, if any of the passed permissions is not one of GitHub's built-in
+ * permissions, and returns the custom roles (as returned by GitHub, incl. their `id` and `base_role`) mapped to the
+ * passed permissions referencing them. Custom roles are matched by their name (case insensitive).
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Array} permissions Any built-in permissions (see `parsePermissionString`), names of custom roles or null.
+ * @return {Map}
+ * @throws {Error} If a custom role does not exist in the org.
+ */
+module.exports = async (octokit, githubOrg, permissions) => {
+    const customRolePermissions = permissions.filter(permission => permission !== null && !BUILT_IN_PERMISSIONS.includes(permission));
+    const customRoles = new Map();
+    if (customRolePermissions.length === 0) {
+        return customRoles;
+    }
+
+    console.log('Loading custom repository roles...');
+    const { data } = await limiter.schedule(() => octokit.request('GET /orgs/{org}/custom-repository-roles', {
+        org: githubOrg.login,
+    }));
+    const githubRoles = data.custom_roles || [];
+    customRolePermissions.forEach((permission) => {
+        const customRole = githubRoles.find(role => role.name.toLowerCase() === permission.toLowerCase());
+        if (!customRole) {
+            const availableRoles = githubRoles.map(role => `'${role.name}'`).join(', ') || 'none';
+            throw new Error(`The custom repository role '${permission}' does not exist in org '${githubOrg.login}'. Available custom roles: ${availableRoles}.`);
+        }
+        customRoles.set(permission, customRole);
+    });
+
+    return customRoles;
+};
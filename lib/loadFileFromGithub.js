@@ -0,0 +1,38 @@
+const limiter = require('./limiter');
+
+/**
+ * Loads the file at `path` from GitHub.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {String} githubPath
+ * @param {Boolean} allowMissing (optional) Pass true to return null instead of throwing if the file does not exist.
+ * @return {Object|null}
+ */
+module.exports = async (octokit, repoInfo, githubPath, allowMissing = false) => {
+    // Load the file
+    let response;
+    try {
+        response = await limiter.schedule(() => octokit.rest.repos.getContent({
+            ...repoInfo,
+            path: githubPath,
+        }));
+    } catch (error) {
+        if (allowMissing && error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+    const fileInfo = response.data;
+    if (Array.isArray(fileInfo)) {
+        throw new Error(`The path ${githubPath} is a directory, not a file.`);
+    }
+    const rawFileContent = Buffer.from(fileInfo.content, 'base64').toString('utf8');
+
+    return {
+        fileName: fileInfo.name,
+        fileSha: fileInfo.sha,
+        githubPath,
+        rawFileContent,
+    };
+};
@@ -0,0 +1,92 @@
+/**
+ * The key of a (non-iterable) map of an object's keys to the path of the config file that defined their values.
+ */
+const SOURCES = Symbol('sources');
+
+/**
+ * The keys of all config arrays whose entries are identified by a name (or similar) field, mapped to that field.
+ */
+const NAMED_ARRAY_KEYS = {
+    autolinks: 'keyPrefix',
+    codeOwners: 'pattern',
+    collaborators: 'username',
+    deployKeys: 'title',
+    issueLabels: 'name',
+    issueTemplates: 'name',
+    managedFiles: 'path',
+    members: 'username',
+    protectedBranches: 'name',
+    pullRequestTemplates: 'name',
+    repositories: 'name',
+    rulesets: 'name',
+    secrets: 'name',
+    teamPermissions: 'teamName',
+    teams: 'name',
+    variables: 'name',
+    webhooks: 'url',
+};
+
+/**
+ * @param {*} value
+ * @return {Boolean}
+ */
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {Object|String} entry
+ * @param {String} identityKey
+ * @return {*}
+ */
+const getIdentity = (entry, identityKey) => {
+    const identity = isPlainObject(entry) ? entry[identityKey] : entry;
+
+    return (typeof identity === 'string') ? identity.toLowerCase() : undefined;
+};
+
+/**
+ * Deep merges `override` into `base` and returns the result without modifying either of them. Plain objects are merged
+ * recursively and arrays of named entries (see `NAMED_ARRAY_KEYS`) are merged by the entries' names, i.e. entries of
+ * `override` are merged into the entries of `base` having the same name (case insensitive) and all other entries are
+ * appended. Entries without a name are always appended. Any other values of `override`, incl. other arrays, replace
+ * the respective value of `base`.
+ *
+ * @param {Object} base
+ * @param {Object} override
+ * @return {Object}
+ */
+const mergeConfig = (base, override) => Object.entries(override).reduce((result, [key, value]) => {
+    const baseValue = result[key];
+    if (Array.isArray(baseValue) && Array.isArray(value) && key in NAMED_ARRAY_KEYS) {
+        const identityKey = NAMED_ARRAY_KEYS[key];
+        const mergedEntries = [...baseValue];
+        value.forEach((entry) => {
+            const identity = getIdentity(entry, identityKey);
+            const index = (identity !== undefined) ? mergedEntries.findIndex(baseEntry => getIdentity(baseEntry, identityKey) === identity) : -1;
+            if (index === -1) {
+                mergedEntries.push(entry);
+            } else {
+                mergedEntries[index] = (isPlainObject(mergedEntries[index]) && isPlainObject(entry)) ? mergeConfig(mergedEntries[index], entry) : entry;
+            }
+        });
+        result[key] = mergedEntries;
+    } else if (isPlainObject(baseValue) && isPlainObject(value)) {
+        result[key] = mergeConfig(baseValue, value);
+    } else {
+        result[key] = value;
+    }
+
+    // Keep track of the file each value was defined in
+    if (override[SOURCES] && override[SOURCES][key]) {
+        result[SOURCES] = {
+            ...result[SOURCES],
+            [key]: override[SOURCES][key],
+        };
+    }
+
+    return result;
+}, { ...base });
+
+module.exports = {
+    mergeConfig,
+    SOURCES,
+};
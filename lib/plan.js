@@ -0,0 +1,259 @@
+const chalk = require('chalk');
+const { diffLines } = require('diff');
+const asyncSequence = require('./asyncSequence');
+const Prompt = require('./prompt');
+
+const ACTIONS = {
+    create: {
+        symbol: chalk.green('+'),
+        verb: 'Creating',
+    },
+    update: {
+        symbol: chalk.yellow('~'),
+        verb: 'Updating',
+    },
+    delete: {
+        symbol: chalk.red('-'),
+        verb: 'Deleting',
+    },
+};
+
+/**
+ * @param {*} value
+ * @return {String}
+ */
+const formatValue = (value) => {
+    if (value === null || value === undefined) {
+        return 'n/a';
+    }
+    if (Array.isArray(value)) {
+        return (value.length > 0) ? value.map(formatValue).join(', ') : '(empty)';
+    }
+    if (typeof value === 'string') {
+        return `'${value}'`;
+    }
+
+    return String(value);
+};
+
+/**
+ * Flattens the passed object into a map of dot separated key paths to their (non-object) values.
+ *
+ * @param {Object|null} object
+ * @param {String} prefix (optional)
+ * @return {Object}
+ */
+const flattenObject = (object, prefix = '') => Object.entries(object || {}).reduce((result, [key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return {
+            ...result,
+            ...flattenObject(value, keyPath),
+        };
+    }
+
+    return {
+        ...result,
+        [keyPath]: value,
+    };
+}, {});
+
+/**
+ * @param {*} lhs
+ * @param {*} rhs
+ * @return {Boolean}
+ */
+const isEqualValue = (lhs, rhs) => {
+    if (Array.isArray(lhs) && Array.isArray(rhs)) {
+        return lhs.length === rhs.length && lhs.every((value, index) => isEqualValue(value, rhs[index]));
+    }
+    if ((lhs === null || lhs === undefined) && (rhs === null || rhs === undefined)) {
+        return true;
+    }
+
+    return lhs === rhs;
+};
+
+/**
+ * @param {String} key
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @return {String}
+ */
+const formatValueChange = (key, oldValue, newValue) => `${key}: ${chalk.red(formatValue(oldValue))} → ${chalk.green(formatValue(newValue))}`;
+
+/**
+ * @param {Object[]} changes
+ */
+const printChanges = (changes) => {
+    changes.forEach((change) => {
+        console.log(`  ${ACTIONS[change.action].symbol} ${change.description}`);
+        (change.details || []).forEach(line => console.log(`      ${line}`));
+    });
+};
+
+/**
+ * Creates a plan that collects all changes a command intends to make. Each change is an object like
+ * ```
+ * {
+ *     action: 'create'|'update'|'delete',
+ *     description: "label 'bug'",
+ *     details: ['color: ...'], // optional
+ *     apply: async () => { ... },
+ * }
+ * ```
+ * Changes are added per scope (e.g. a repository). If `planMode` is not enabled, the changes of a scope are applied
+ * right away when they are added. Otherwise they are only collected and, once `apply()` is called, printed as a diff
+ * and applied exactly as planned after confirming them (unless `autoApprove` is set).
+ *
+ * @param {Object} options
+ * @param {Boolean} options.planMode
+ * @param {Boolean} options.autoApprove
+ * @param {Boolean} options.continueOnError (optional) Set to continue applying the next scope after a change failed.
+ * @return {Object}
+ */
+const createPlan = ({ planMode, autoApprove, continueOnError = false }) => {
+    const scopes = [];
+
+    const applyScope = async (scope) => {
+        try {
+            await asyncSequence(scope.changes, async (change) => {
+                console.log(`\t${ACTIONS[change.action].verb} ${change.description}...`);
+                await change.apply();
+            });
+        } catch (error) {
+            if (!continueOnError) {
+                throw error;
+            }
+            console.error(`\t❌ Failed to apply changes to ${scope.name}: ${error.message}`);
+        }
+    };
+
+    return {
+        /**
+         * @param {String} name The name of the scope, e.g. "repository 'foo'".
+         * @param {Object[]} changes
+         */
+        async add(name, changes) {
+            if (changes.length === 0) {
+                return;
+            }
+            if (!planMode) {
+                await applyScope({
+                    name,
+                    changes,
+                });
+
+                return;
+            }
+
+            const existingScope = scopes.find(scope => scope.name === name);
+            if (existingScope) {
+                existingScope.changes.push(...changes);
+            } else {
+                scopes.push({
+                    name,
+                    changes: [...changes],
+                });
+            }
+        },
+
+        /**
+         * Prints, confirms and applies all planned changes. Does nothing unless in plan mode.
+         */
+        async apply() {
+            if (!planMode) {
+                return;
+            }
+
+            const allChanges = scopes.reduce((changes, scope) => [...changes, ...scope.changes], []);
+            if (allChanges.length === 0) {
+                console.log('No changes. Everything is up to date.');
+
+                return;
+            }
+
+            console.log('\nPlanned changes:');
+            scopes.forEach((scope) => {
+                console.log(chalk.bold(`\n${scope.name.charAt(0).toUpperCase()}${scope.name.slice(1)}:`));
+                printChanges(scope.changes);
+            });
+            const countChanges = action => allChanges.filter(change => change.action === action).length;
+            console.log(chalk.bold(`\nPlan: ${countChanges('create')} to create, ${countChanges('update')} to update, ${countChanges('delete')} to delete.`));
+
+            if (!autoApprove) {
+                const confirmed = await Prompt.confirm('Do you want to apply these changes? (y/n):');
+                if (!confirmed) {
+                    console.log('Aborted. No changes were applied.');
+
+                    return;
+                }
+            }
+
+            await asyncSequence(scopes, async (scope) => {
+                console.log(`Applying changes to ${scope.name}:`);
+                await applyScope(scope);
+            });
+        },
+    };
+};
+
+module.exports = {
+    createPlan,
+    printChanges,
+
+    /**
+     * @param {String} color A hex color code without leading '#'.
+     * @return {String}
+     */
+    formatColor(color) {
+        return `${chalk.bgHex(`#${color}`)('   ')} #${color}`;
+    },
+
+    formatValueChange,
+
+    /**
+     * Compares the (possibly nested) values of both objects and returns a formatted line for each changed value.
+     *
+     * @param {Object|null} oldObject
+     * @param {Object|null} newObject
+     * @return {String[]}
+     */
+    formatObjectChanges(oldObject, newObject) {
+        const oldValues = flattenObject(oldObject);
+        const newValues = flattenObject(newObject);
+        const keyPaths = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+        return keyPaths
+            .filter(keyPath => !isEqualValue(oldValues[keyPath], newValues[keyPath]))
+            .map(keyPath => formatValueChange(keyPath, oldValues[keyPath], newValues[keyPath]));
+    },
+
+    /**
+     * @param {String} oldContent
+     * @param {String} newContent
+     * @return {String[]}
+     */
+    formatContentDiff(oldContent, newContent) {
+        return diffLines(oldContent, newContent).reduce((lines, part, index, parts) => {
+            const partLines = part.value.replace(/\n$/, '').split('\n');
+            if (part.added) {
+                return [...lines, ...partLines.map(line => chalk.green(`+ ${line}`))];
+            }
+            if (part.removed) {
+                return [...lines, ...partLines.map(line => chalk.red(`- ${line}`))];
+            }
+
+            // Only show unchanged lines surrounding changes
+            if (partLines.length <= 6) {
+                return [...lines, ...partLines.map(line => `  ${line}`)];
+            }
+            const head = (lines.length > 0) ? partLines.slice(0, 3) : [];
+            const tail = (index < parts.length - 1) ? partLines.slice(-3) : [];
+
+            return [...lines, ...head.map(line => `  ${line}`), chalk.cyan('  ...'), ...tail.map(line => `  ${line}`)];
+        }, []);
+    },
+
+    isEqualValue,
+};
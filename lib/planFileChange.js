@@ -0,0 +1,80 @@
+const limiter = require('./limiter');
+const Plan = require('./plan');
+
+/**
+ * Compares the passed file loaded from GitHub (see `loadFileFromGithub`) with the expected content of that file and
+ * returns the change necessary to create, update or delete the file. A `content` of null means that the file should
+ * not exist. Since only the exact file contents are compared, null is returned if nothing changes, to prevent
+ * creating commits that do not change anything.
+ *
+ * The returned change contains the changed `file` (`{ path, content }`), which can be passed on to
+ * `planFileDelivery`.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {String} description
+ * @param {String} githubPath
+ * @param {Object|null} githubFile
+ * @param {String|null} content
+ * @return {Object|null}
+ */
+module.exports = (octokit, repoInfo, description, githubPath, githubFile, content) => {
+    if (!githubFile) {
+        if (content === null) {
+            return null;
+        }
+
+        return {
+            action: 'create',
+            description,
+            details: [`path: ${githubPath}`, ...Plan.formatContentDiff('', content)],
+            file: {
+                path: githubPath,
+                content,
+            },
+            apply: () => limiter.schedule(() => octokit.rest.repos.createOrUpdateFileContents({
+                ...repoInfo,
+                path: githubPath,
+                message: `Add ${description}`,
+                content: Buffer.from(content).toString('base64'),
+            })),
+        };
+    }
+    if (content === null) {
+        return {
+            action: 'delete',
+            description,
+            details: [`path: ${githubFile.githubPath}`],
+            file: {
+                path: githubFile.githubPath,
+                content: null,
+            },
+            apply: () => limiter.schedule(() => octokit.rest.repos.deleteFile({
+                ...repoInfo,
+                path: githubFile.githubPath,
+                message: `Delete ${description}`,
+                sha: githubFile.fileSha,
+            })),
+        };
+    }
+    if (content === githubFile.rawFileContent) {
+        return null;
+    }
+
+    return {
+        action: 'update',
+        description,
+        details: Plan.formatContentDiff(githubFile.rawFileContent, content),
+        file: {
+            path: githubFile.githubPath,
+            content,
+        },
+        apply: () => limiter.schedule(() => octokit.rest.repos.createOrUpdateFileContents({
+            ...repoInfo,
+            path: githubFile.githubPath,
+            message: `Update ${description}`,
+            content: Buffer.from(content).toString('base64'),
+            sha: githubFile.fileSha,
+        })),
+    };
+};
@@ -0,0 +1,250 @@
+const limiter = require('./limiter');
+
+/**
+ * Creates a single commit containing all passed file changes on top of the passed commit and returns its SHA. If the
+ * resulting tree equals the tree of `currentHeadSha`, no commit is created and `currentHeadSha` is returned instead.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {Object[]} files
+ * @param {String} message
+ * @param {String} parentSha
+ * @param {String|null} currentHeadSha
+ * @return {String}
+ */
+const createCommit = async (octokit, repoInfo, files, message, parentSha, currentHeadSha = null) => {
+    const { data: parentCommit } = await limiter.schedule(() => octokit.rest.git.getCommit({
+        ...repoInfo,
+        commit_sha: parentSha,
+    }));
+    const { data: tree } = await limiter.schedule(() => octokit.rest.git.createTree({
+        ...repoInfo,
+        base_tree: parentCommit.tree.sha,
+        // Passing a 'sha' of null deletes the file
+        tree: files.map(file => ({
+            path: file.path,
+            mode: '100644',
+            type: 'blob',
+            ...((file.content === null) ? { sha: null } : { content: file.content }),
+        })),
+    }));
+    if (currentHeadSha) {
+        const { data: currentHeadCommit } = await limiter.schedule(() => octokit.rest.git.getCommit({
+            ...repoInfo,
+            commit_sha: currentHeadSha,
+        }));
+        if (currentHeadCommit.tree.sha === tree.sha) {
+            return currentHeadSha;
+        }
+    }
+    const { data: commit } = await limiter.schedule(() => octokit.rest.git.createCommit({
+        ...repoInfo,
+        message,
+        tree: tree.sha,
+        parents: [parentSha],
+    }));
+
+    return commit.sha;
+};
+
+/**
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {String} branch
+ * @return {String|null} The SHA of the branch's head or null, if the branch does not exist.
+ */
+const findBranchHead = async (octokit, repoInfo, branch) => {
+    try {
+        const { data: ref } = await limiter.schedule(() => octokit.rest.git.getRef({
+            ...repoInfo,
+            ref: `heads/${branch}`,
+        }));
+
+        return ref.object.sha;
+    } catch (error) {
+        if (error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Returns whether the passed branch contains only commits created by `createCommit` (identified by their message) on
+ * top of the base branch, i.e. whether it can be reset without discarding commits that were pushed by anybody else.
+ *
+ * @param {Object} octokit
+ * @param {Object} repoInfo
+ * @param {String} baseBranch
+ * @param {String} branch
+ * @param {String} commitMessage
+ * @return {Boolean}
+ */
+const containsOnlyOwnCommits = async (octokit, repoInfo, baseBranch, branch, commitMessage) => {
+    const { data: comparison } = await limiter.schedule(() => octokit.rest.repos.compareCommits({
+        ...repoInfo,
+        base: baseBranch,
+        head: branch,
+    }));
+
+    // Each run replaces the commit on the branch, hence there is at most one own commit
+    return comparison.ahead_by <= 1 && comparison.commits.every(commit => commit.commit.message === commitMessage);
+};
+
+/**
+ * Converts the passed file changes, which each contain a `file` (`{ path, content }`, whereby a `content` of null
+ * deletes the file) and apply their change in a separate commit, according to the passed delivery config:
+ *
+ *  - `commits` (default): The changes are returned unchanged.
+ *  - `singleCommit`: All files are committed to the default branch in a single commit using the Git Data API.
+ *  - `pullRequest`: All files are committed to `pullRequest.branch`, which is (re)created based on the default branch,
+ *    and a pull request is opened for that branch. An already open pull request of that branch is updated instead.
+ *    The branch is only reset if it does not contain any commits pushed by others. If no files changed, an open pull
+ *    request of that branch is obsolete and hence closed.
+ *
+ * In the latter two modes the file changes are still returned for reviewing them, but applying them does nothing.
+ * Instead, a change creating the commit (or pull request) is appended.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubRepository
+ * @param {Object[]} fileChanges
+ * @param {Object} delivery
+ * @param {Object} defaults The default `commitMessage` and `branch`.
+ * @return {Object[]}
+ */
+module.exports = async (octokit, githubRepository, fileChanges, delivery, defaults) => {
+    const mode = (delivery && delivery.mode) || 'commits';
+    if (mode === 'commits' || (mode === 'singleCommit' && fileChanges.length === 0)) {
+        return fileChanges;
+    }
+
+    const repoInfo = {
+        owner: githubRepository.owner.login,
+        repo: githubRepository.name,
+    };
+    const baseBranch = githubRepository.default_branch;
+    const commitMessage = delivery.commitMessage || defaults.commitMessage;
+    // A file may be changed more than once (e.g. deleted at its old and created at its new location), but a tree may
+    // contain each path only once, hence the last change of each path wins
+    const files = [...new Map(fileChanges.map(change => [change.file.path, change.file])).values()];
+    const changes = fileChanges.map(change => ({
+        ...change,
+        apply: async () => {},
+    }));
+
+    if (mode === 'singleCommit') {
+        changes.push({
+            action: 'create',
+            description: `commit '${commitMessage}' on branch '${baseBranch}'`,
+            apply: async () => {
+                const baseSha = await findBranchHead(octokit, repoInfo, baseBranch);
+                const commitSha = await createCommit(octokit, repoInfo, files, commitMessage, baseSha);
+                await limiter.schedule(() => octokit.rest.git.updateRef({
+                    ...repoInfo,
+                    ref: `heads/${baseBranch}`,
+                    sha: commitSha,
+                }));
+            },
+        });
+
+        return changes;
+    }
+
+    const pullRequestConfig = delivery.pullRequest || {};
+    const branch = pullRequestConfig.branch || defaults.branch;
+    const title = pullRequestConfig.title || commitMessage;
+    const body = pullRequestConfig.body || '';
+    const [existingPullRequest] = await octokit.paginate(octokit.rest.pulls.list, {
+        ...repoInfo,
+        head: `${repoInfo.owner}:${branch}`,
+        base: baseBranch,
+        state: 'open',
+    });
+    if (fileChanges.length === 0) {
+        if (!existingPullRequest) {
+            return [];
+        }
+        if (!await containsOnlyOwnCommits(octokit, repoInfo, baseBranch, branch, commitMessage)) {
+            console.log(`\tPull request #${existingPullRequest.number} is obsolete, but not closed, because branch '${branch}' contains commits pushed by others`);
+
+            return [];
+        }
+
+        return [{
+            action: 'delete',
+            description: `pull request #${existingPullRequest.number} (branch '${branch}')`,
+            details: ['closed, since all files are up to date'],
+            apply: () => limiter.schedule(() => octokit.rest.pulls.update({
+                ...repoInfo,
+                pull_number: existingPullRequest.number,
+                state: 'closed',
+            })),
+        }];
+    }
+    changes.push({
+        action: existingPullRequest ? 'update' : 'create',
+        description: existingPullRequest ? `pull request #${existingPullRequest.number} (branch '${branch}')` : `pull request '${title}' (branch '${branch}')`,
+        apply: async () => {
+            // Always base the branch on the current default branch, but only push a new commit if the files changed
+            const baseSha = await findBranchHead(octokit, repoInfo, baseBranch);
+            const branchSha = await findBranchHead(octokit, repoInfo, branch);
+            if (branchSha && !await containsOnlyOwnCommits(octokit, repoInfo, baseBranch, branch, commitMessage)) {
+                throw new Error(`The branch '${branch}' contains commits pushed by others, which would be discarded. Merge or close its pull request and delete the branch first.`);
+            }
+            const commitSha = await createCommit(octokit, repoInfo, files, commitMessage, baseSha, branchSha);
+            if (!branchSha) {
+                await limiter.schedule(() => octokit.rest.git.createRef({
+                    ...repoInfo,
+                    ref: `refs/heads/${branch}`,
+                    sha: commitSha,
+                }));
+            } else if (branchSha !== commitSha) {
+                await limiter.schedule(() => octokit.rest.git.updateRef({
+                    ...repoInfo,
+                    ref: `heads/${branch}`,
+                    sha: commitSha,
+                    force: true,
+                }));
+            }
+
+            let pullRequestNumber;
+            if (existingPullRequest) {
+                pullRequestNumber = existingPullRequest.number;
+                await limiter.schedule(() => octokit.rest.pulls.update({
+                    ...repoInfo,
+                    pull_number: pullRequestNumber,
+                    title,
+                    body,
+                }));
+            } else {
+                const { data: pullRequest } = await limiter.schedule(() => octokit.rest.pulls.create({
+                    ...repoInfo,
+                    head: branch,
+                    base: baseBranch,
+                    title,
+                    body,
+                }));
+                pullRequestNumber = pullRequest.number;
+
+                // Only request reviews once to not notify the reviewers again on every run
+                if ((pullRequestConfig.reviewers || []).length > 0 || (pullRequestConfig.teamReviewers || []).length > 0) {
+                    await limiter.schedule(() => octokit.rest.pulls.requestReviewers({
+                        ...repoInfo,
+                        pull_number: pullRequestNumber,
+                        reviewers: pullRequestConfig.reviewers || [],
+                        team_reviewers: pullRequestConfig.teamReviewers || [],
+                    }));
+                }
+            }
+            if ((pullRequestConfig.labels || []).length > 0) {
+                await limiter.schedule(() => octokit.rest.issues.addLabels({
+                    ...repoInfo,
+                    issue_number: pullRequestNumber,
+                    labels: pullRequestConfig.labels,
+                }));
+            }
+        },
+    });
+
+    return changes;
+};
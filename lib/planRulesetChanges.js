@@ -0,0 +1,330 @@
+const asyncSequence = require('./asyncSequence');
+const limiter = require('./limiter');
+const loadCustomRepositoryRoles = require('./loadCustomRepositoryRoles');
+const Plan = require('./plan');
+
+/**
+ * The IDs GitHub uses for its built-in repository roles when configuring bypass actors.
+ */
+const BUILT_IN_ROLE_IDS = {
+    maintain: 2,
+    write: 4,
+    admin: 5,
+};
+
+/**
+ * The resolved bypass actors of all rulesets, identified by their org, type and name.
+ */
+const bypassActorCache = new Map();
+
+/**
+ * Converts the passed ref pattern to a fully qualified ref pattern. Patterns that neither start with `refs/` nor are
+ * special patterns like `~DEFAULT_BRANCH` or `~ALL` are considered branch or tag names, depending on the target.
+ *
+ * @param {String} pattern
+ * @param {String} target
+ * @return {String}
+ */
+const normalizeRefPattern = (pattern, target) => {
+    if (pattern.startsWith('refs/') || pattern.startsWith('~')) {
+        return pattern;
+    }
+
+    return `refs/${(target === 'tag') ? 'tags' : 'heads'}/${pattern}`;
+};
+
+/**
+ * Resolves the ID of the passed bypass actor config and returns the bypass actor in the format of the GitHub API
+ * including a `label` describing it.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object} actorConfig
+ * @return {Object}
+ */
+const resolveBypassActor = async (octokit, githubOrg, actorConfig) => {
+    const cacheKey = `${githubOrg.login}/${actorConfig.type}/${actorConfig.name || ''}`;
+    if (!bypassActorCache.has(cacheKey)) {
+        let actor;
+        switch (actorConfig.type) {
+            case 'team': {
+                const { data: githubTeam } = await limiter.schedule(() => octokit.rest.teams.getByName({
+                    org: githubOrg.login,
+                    team_slug: actorConfig.name,
+                }));
+                actor = {
+                    actor_id: githubTeam.id,
+                    actor_type: 'Team',
+                };
+                break;
+            }
+            case 'app': {
+                const { data: githubApp } = await limiter.schedule(() => octokit.rest.apps.getBySlug({ app_slug: actorConfig.name }));
+                actor = {
+                    actor_id: githubApp.id,
+                    actor_type: 'Integration',
+                };
+                break;
+            }
+            case 'role': {
+                let roleId = BUILT_IN_ROLE_IDS[actorConfig.name.toLowerCase()];
+                if (!roleId) {
+                    // Built-in permissions that cannot bypass rulesets (e.g. 'triage') are not loaded as custom roles
+                    const customRole = (await loadCustomRepositoryRoles(octokit, githubOrg, [actorConfig.name])).get(actorConfig.name);
+                    if (!customRole) {
+                        throw new Error(`The bypass actor role '${actorConfig.name}' is neither one of ${Object.keys(BUILT_IN_ROLE_IDS).map(role => `'${role}'`).join(', ')} nor a custom repository role of org '${githubOrg.login}'.`);
+                    }
+                    roleId = customRole.id;
+                }
+                actor = {
+                    actor_id: roleId,
+                    actor_type: 'RepositoryRole',
+                };
+                break;
+            }
+            case 'organizationAdmin':
+                actor = {
+                    actor_id: 1,
+                    actor_type: 'OrganizationAdmin',
+                };
+                break;
+            default:
+                actor = {
+                    actor_id: null,
+                    actor_type: 'DeployKey',
+                };
+        }
+        bypassActorCache.set(cacheKey, {
+            ...actor,
+            label: actorConfig.name ? `${actorConfig.type} ${actorConfig.name}` : actorConfig.type,
+        });
+    }
+
+    return {
+        ...bypassActorCache.get(cacheKey),
+        bypass_mode: actorConfig.mode || 'always',
+    };
+};
+
+/**
+ * Creates the rules of the passed ruleset config in the format of the GitHub API.
+ *
+ * @param {Object} rulesConfig
+ * @return {Object[]}
+ */
+const createRules = (rulesConfig) => {
+    const rules = [];
+    if (rulesConfig.pullRequest) {
+        const pullRequestConfig = rulesConfig.pullRequest;
+        rules.push({
+            type: 'pull_request',
+            parameters: {
+                required_approving_review_count: ('requiredApprovingReviewCount' in pullRequestConfig) ? pullRequestConfig.requiredApprovingReviewCount : 1,
+                dismiss_stale_reviews_on_push: pullRequestConfig.dismissApprovalWhenChanged === true,
+                require_code_owner_review: pullRequestConfig.requireCodeOwnerReview === true,
+                require_last_push_approval: pullRequestConfig.requireLastPushApproval === true,
+                required_review_thread_resolution: pullRequestConfig.requireConversationResolution === true,
+            },
+        });
+    }
+    if (rulesConfig.requireStatusChecks) {
+        rules.push({
+            type: 'required_status_checks',
+            parameters: {
+                required_status_checks: rulesConfig.requireStatusChecks.statusChecks.map(context => ({ context })),
+                strict_required_status_checks_policy: rulesConfig.requireStatusChecks.requireBranchUpToDate === true,
+            },
+        });
+    }
+    if (rulesConfig.requireLinearHistory) {
+        rules.push({ type: 'required_linear_history' });
+    }
+    if (rulesConfig.requireSignatures) {
+        rules.push({ type: 'required_signatures' });
+    }
+    if (rulesConfig.restrictFilePaths) {
+        rules.push({
+            type: 'file_path_restriction',
+            parameters: {
+                restricted_file_paths: rulesConfig.restrictFilePaths,
+            },
+        });
+    }
+
+    return rules;
+};
+
+/**
+ * Creates the ruleset described by the passed config in the format of the GitHub API.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object} rulesetConfig
+ * @param {Boolean} isOrgRuleset
+ * @return {Object}
+ */
+const createRuleset = async (octokit, githubOrg, rulesetConfig, isOrgRuleset) => {
+    const target = rulesetConfig.target || 'branch';
+    const conditions = {};
+    if (target !== 'push') {
+        conditions.ref_name = {
+            include: (rulesetConfig.include || ['~DEFAULT_BRANCH']).map(pattern => normalizeRefPattern(pattern, target)),
+            exclude: (rulesetConfig.exclude || []).map(pattern => normalizeRefPattern(pattern, target)),
+        };
+    }
+    if (isOrgRuleset) {
+        conditions.repository_name = {
+            include: (rulesetConfig.repositories && rulesetConfig.repositories.include) || ['~ALL'],
+            exclude: (rulesetConfig.repositories && rulesetConfig.repositories.exclude) || [],
+        };
+    }
+    const bypassActors = [];
+    await asyncSequence(rulesetConfig.bypassActors || [], async (actorConfig) => {
+        bypassActors.push(await resolveBypassActor(octokit, githubOrg, actorConfig));
+    });
+
+    return {
+        name: rulesetConfig.name,
+        target,
+        enforcement: rulesetConfig.enforcement || 'active',
+        conditions,
+        bypass_actors: bypassActors,
+        rules: createRules(rulesetConfig.rules || {}),
+    };
+};
+
+/**
+ * Converts the passed ruleset (in the format of the GitHub API) to an object that is suitable for comparing and
+ * printing changes. Only the conditions and rule parameters of `expectedRuleset` are compared, since GitHub returns
+ * additional ones that are not configurable (e.g. `repository_name.protected` of org rulesets).
+ *
+ * @param {Object} ruleset
+ * @param {Object} expectedRuleset
+ * @return {Object}
+ */
+const createComparableRuleset = (ruleset, expectedRuleset) => {
+    const findLabel = actor => (expectedRuleset.bypass_actors.find(expectedActor => (
+        expectedActor.actor_type === actor.actor_type && expectedActor.actor_id === actor.actor_id
+    )) || { label: `${actor.actor_type} #${actor.actor_id}` }).label;
+    const rules = {};
+    (ruleset.rules || []).forEach((rule) => {
+        const expectedRule = expectedRuleset.rules.find(anyRule => anyRule.type === rule.type);
+        const parameterNames = Object.keys((expectedRule || rule).parameters || {});
+        if (parameterNames.length === 0) {
+            rules[rule.type] = true;
+
+            return;
+        }
+        rules[rule.type] = {};
+        parameterNames.forEach((parameterName) => {
+            let value = (rule.parameters || {})[parameterName];
+            if (parameterName === 'required_status_checks' && Array.isArray(value)) {
+                value = value.map(statusCheck => statusCheck.context).sort();
+            }
+            rules[rule.type][parameterName] = value;
+        });
+    });
+
+    const conditions = {};
+    Object.keys(expectedRuleset.conditions).forEach((conditionName) => {
+        const condition = (ruleset.conditions || {})[conditionName] || {};
+        conditions[conditionName] = {};
+        Object.keys(expectedRuleset.conditions[conditionName]).forEach((key) => {
+            conditions[conditionName][key] = condition[key];
+        });
+    });
+
+    return {
+        target: ruleset.target,
+        enforcement: ruleset.enforcement,
+        conditions,
+        bypass_actors: (ruleset.bypass_actors || []).map(actor => `${findLabel(actor)} (${actor.bypass_mode})`).sort(),
+        rules,
+    };
+};
+
+/**
+ * Compares the configured rulesets with the rulesets of the passed GitHub repository or, if no repository is passed,
+ * the GitHub organization and returns the changes necessary to create missing rulesets, update changed rulesets and
+ * delete all rulesets that are not configured. Rulesets are identified by their name.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object[]} configRulesets
+ * @param {Object|null} githubRepository
+ * @return {Object[]}
+ */
+module.exports = async (octokit, githubOrg, configRulesets, githubRepository = null) => {
+    const isOrgRuleset = !githubRepository;
+    const baseRoute = isOrgRuleset ? '/orgs/{org}/rulesets' : '/repos/{owner}/{repo}/rulesets';
+    const baseParameters = isOrgRuleset ? { org: githubOrg.login } : {
+        owner: githubOrg.login,
+        repo: githubRepository.name,
+    };
+
+    // Only manage the rulesets defined on the same level, i.e. ignore org rulesets when managing repository rulesets
+    const githubRulesetSummaries = (await octokit.paginate(`GET ${baseRoute}`, {
+        ...baseParameters,
+        includes_parents: false,
+    })).filter(ruleset => ruleset.source_type === (isOrgRuleset ? 'Organization' : 'Repository'));
+
+    const changes = [];
+    await asyncSequence(configRulesets, async (rulesetConfig) => {
+        const expectedRuleset = await createRuleset(octokit, githubOrg, rulesetConfig, isOrgRuleset);
+        const payload = {
+            ...expectedRuleset,
+            bypass_actors: expectedRuleset.bypass_actors.map(({ label, ...actor }) => actor),
+        };
+        const description = `ruleset '${rulesetConfig.name}'`;
+        const githubRulesetSummary = githubRulesetSummaries.find(ruleset => ruleset.name === rulesetConfig.name);
+        if (!githubRulesetSummary) {
+            changes.push({
+                action: 'create',
+                description,
+                details: Plan.formatObjectChanges(null, createComparableRuleset(expectedRuleset, expectedRuleset)),
+                apply: () => limiter.schedule(() => octokit.request(`POST ${baseRoute}`, {
+                    ...baseParameters,
+                    ...payload,
+                })),
+            });
+
+            return;
+        }
+
+        const { data: githubRuleset } = await limiter.schedule(() => octokit.request(`GET ${baseRoute}/{ruleset_id}`, {
+            ...baseParameters,
+            ruleset_id: githubRulesetSummary.id,
+        }));
+        const details = Plan.formatObjectChanges(
+            createComparableRuleset(githubRuleset, expectedRuleset),
+            createComparableRuleset(expectedRuleset, expectedRuleset),
+        );
+        if (details.length > 0) {
+            changes.push({
+                action: 'update',
+                description,
+                details,
+                apply: () => limiter.schedule(() => octokit.request(`PUT ${baseRoute}/{ruleset_id}`, {
+                    ...baseParameters,
+                    ...payload,
+                    ruleset_id: githubRuleset.id,
+                })),
+            });
+        }
+    });
+
+    githubRulesetSummaries
+        .filter(githubRuleset => !configRulesets.find(rulesetConfig => rulesetConfig.name === githubRuleset.name))
+        .forEach((githubRuleset) => {
+            changes.push({
+                action: 'delete',
+                description: `ruleset '${githubRuleset.name}'`,
+                apply: () => limiter.schedule(() => octokit.request(`DELETE ${baseRoute}/{ruleset_id}`, {
+                    ...baseParameters,
+                    ruleset_id: githubRuleset.id,
+                })),
+            });
+        });
+
+    return changes;
+};
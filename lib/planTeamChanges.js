@@ -0,0 +1,365 @@
+const asyncSequence = require('./asyncSequence');
+const limiter = require('./limiter');
+const Plan = require('./plan');
+
+/**
+ * Sorts the passed teams such that each team is preceded by its parent team, if the latter is configured too.
+ *
+ * @param {Object[]} configTeams
+ * @return {Object[]}
+ */
+const sortByHierarchy = (configTeams) => {
+    const sortedTeams = [];
+    const addTeam = (configTeam) => {
+        if (sortedTeams.includes(configTeam)) {
+            return;
+        }
+        const parentConfigTeam = configTeams.find(team => team.name === configTeam.parentTeam);
+        if (parentConfigTeam) {
+            addTeam(parentConfigTeam);
+        }
+        sortedTeams.push(configTeam);
+    };
+    configTeams.forEach(addTeam);
+
+    return sortedTeams;
+};
+
+/**
+ * @param {Object|undefined} githubTeam
+ * @return {String|null}
+ */
+const getParentTeamName = githubTeam => ((githubTeam && githubTeam.parent) ? githubTeam.parent.name : null);
+
+/**
+ * Checks all users that are configured as team members and returns the ones that either do not exist or are not
+ * members of the org.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object[]} configTeams
+ * @return {Map} The lower case usernames mapped to the reason why they are invalid.
+ */
+const findInvalidUsernames = async (octokit, githubOrg, configTeams) => {
+    const invalidUsernames = new Map();
+    const usernames = [...new Set(configTeams
+        .filter(configTeam => configTeam.members)
+        .reduce((allUsernames, configTeam) => [...allUsernames, ...configTeam.members.map(member => member.username.toLowerCase())], []))];
+    if (usernames.length === 0) {
+        return invalidUsernames;
+    }
+
+    console.log('Loading organization members...');
+    const orgMembers = await octokit.paginate(octokit.rest.orgs.listMembers, {
+        org: githubOrg.login,
+    });
+    const orgMemberLogins = orgMembers.map(member => member.login.toLowerCase());
+    const invitations = await octokit.paginate(octokit.rest.orgs.listPendingInvitations, {
+        org: githubOrg.login,
+    });
+    const invitedLogins = invitations.filter(invitation => invitation.login).map(invitation => invitation.login.toLowerCase());
+
+    await asyncSequence(usernames.filter(username => !orgMemberLogins.includes(username)), async (username) => {
+        if (invitedLogins.includes(username)) {
+            invalidUsernames.set(username, `has not accepted the invitation to org '${githubOrg.login}' yet`);
+
+            return;
+        }
+        try {
+            await limiter.schedule(() => octokit.rest.users.getByUsername({ username }));
+            invalidUsernames.set(username, `is not a member of org '${githubOrg.login}'`);
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+            invalidUsernames.set(username, 'unknown user');
+        }
+    });
+
+    return invalidUsernames;
+};
+
+/**
+ * Loads the direct members of the passed team incl. their roles. Members of child teams are not included, because
+ * they are not members of the team itself and hence cannot be managed via the team.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object} githubTeam
+ * @param {String|null} cursor
+ * @return {Object[]} The members, each having a `login` and a `role` ('member' or 'maintainer').
+ */
+const loadDirectTeamMembers = async (octokit, githubOrg, githubTeam, cursor = null) => {
+    const { organization: { team: { members } } } = await limiter.schedule(() => octokit.graphql(
+        `query DirectTeamMembers($org: String!, $slug: String!, $cursor: String) {
+            organization(login: $org) {
+                team(slug: $slug) {
+                    members(first: 100, after: $cursor, membership: IMMEDIATE) {
+                        pageInfo {
+                            hasNextPage
+                            endCursor
+                        }
+                        edges {
+                            role
+                            node {
+                                login
+                            }
+                        }
+                    }
+                }
+            }
+        }`,
+        {
+            org: githubOrg.login,
+            slug: githubTeam.slug,
+            cursor,
+        },
+    ));
+    const directMembers = members.edges.map(edge => ({
+        login: edge.node.login,
+        role: edge.role.toLowerCase(),
+    }));
+    if (!members.pageInfo.hasNextPage) {
+        return directMembers;
+    }
+
+    return [
+        ...directMembers,
+        ...await loadDirectTeamMembers(octokit, githubOrg, githubTeam, members.pageInfo.endCursor),
+    ];
+};
+
+/**
+ * Compares the configured teams with the teams of the GitHub organization and returns the changes necessary to create
+ * missing teams, update changed attributes and members and, if `deleteTeams` is set, delete all teams that are not
+ * configured. Members are only removed from teams if `removeUnlistedMembers` is set.
+ * Sets the `githubTeam` of each configured team, either right away if the team exists already or once it is created.
+ *
+ * @param {Object} octokit
+ * @param {Object} githubOrg
+ * @param {Object[]} configTeams
+ * @param {Object[]} githubTeams
+ * @param {Object} options
+ * @param {Boolean} options.deleteTeams
+ * @param {Boolean} options.removeUnlistedMembers
+ * @return {Object[]}
+ * @throws {Error} If a configured parent team does not exist.
+ */
+module.exports = async (octokit, githubOrg, configTeams, githubTeams, { deleteTeams, removeUnlistedMembers }) => {
+    configTeams.forEach((configTeam) => {
+        configTeam.githubTeam = githubTeams.find(team => team.name === configTeam.name) || null;
+        if (
+            configTeam.parentTeam
+            && !configTeams.find(team => team.name === configTeam.parentTeam)
+            && !githubTeams.find(team => team.name === configTeam.parentTeam)
+        ) {
+            throw new Error(`The parent team '${configTeam.parentTeam}' of team '${configTeam.name}' is neither configured nor can it be found in org '${githubOrg.login}'.`);
+        }
+    });
+
+    // Resolve the parent team only when applying the changes, because it might be created in the same run
+    const findParentTeamId = (configTeam) => {
+        if (!configTeam.parentTeam) {
+            return null;
+        }
+        const parentConfigTeam = configTeams.find(team => team.name === configTeam.parentTeam);
+        const parentGithubTeam = parentConfigTeam ? parentConfigTeam.githubTeam : githubTeams.find(team => team.name === configTeam.parentTeam);
+
+        return parentGithubTeam.id;
+    };
+
+    // Check all configured team members upfront to report unknown users and users that are not members of the org
+    const invalidUsernames = await findInvalidUsernames(octokit, githubOrg, configTeams);
+    if (invalidUsernames.size > 0) {
+        console.log('\t⚠️  The following users are ignored when updating team members:');
+        invalidUsernames.forEach((reason, username) => console.log(`\t\t- ${username}: ${reason}`));
+    }
+    const isValidUsername = username => !invalidUsernames.has(username.toLowerCase());
+
+    /**
+     * Adds missing members, changes the role of members whose role differs and, if `removeUnlistedMembers` is set,
+     * removes all members that are not configured.
+     *
+     * @param {Object} configTeam
+     * @return {Object[]}
+     */
+    const planMembershipChanges = async (configTeam) => {
+        if (!configTeam.members) {
+            return [];
+        }
+
+        // The REST API also lists the members of child teams, hence only compare the direct members
+        const githubMembers = configTeam.githubTeam ? await loadDirectTeamMembers(octokit, githubOrg, configTeam.githubTeam) : [];
+        const findGithubUser = (users, username) => users.find(user => user.login.toLowerCase() === username.toLowerCase());
+        const addOrUpdateMembership = (username, role) => limiter.schedule(() => octokit.rest.teams.addOrUpdateMembershipForUserInOrg({
+            org: githubOrg.login,
+            team_slug: configTeam.githubTeam.slug,
+            username,
+            role,
+        }));
+
+        const membershipChanges = [];
+        configTeam.members.filter(member => isValidUsername(member.username)).forEach((member) => {
+            const description = `membership of '${member.username}' in team '${configTeam.name}'`;
+            if (!findGithubUser(githubMembers, member.username)) {
+                // New teams are created including their maintainers
+                if (!configTeam.githubTeam && member.role === 'maintainer') {
+                    return;
+                }
+                membershipChanges.push({
+                    action: 'create',
+                    description,
+                    details: [`role: ${member.role}`],
+                    apply: () => addOrUpdateMembership(member.username, member.role),
+                });
+
+                return;
+            }
+
+            const currentRole = findGithubUser(githubMembers, member.username).role;
+            if (currentRole !== member.role) {
+                membershipChanges.push({
+                    action: 'update',
+                    description,
+                    details: [Plan.formatValueChange('role', currentRole, member.role)],
+                    apply: () => addOrUpdateMembership(member.username, member.role),
+                });
+            }
+        });
+
+        if (removeUnlistedMembers) {
+            githubMembers
+                .filter(githubMember => !configTeam.members.find(member => member.username.toLowerCase() === githubMember.login.toLowerCase()))
+                .forEach((githubMember) => {
+                    membershipChanges.push({
+                        action: 'delete',
+                        description: `membership of '${githubMember.login}' in team '${configTeam.name}'`,
+                        apply: () => limiter.schedule(() => octokit.rest.teams.removeMembershipForUserInOrg({
+                            org: githubOrg.login,
+                            team_slug: configTeam.githubTeam.slug,
+                            username: githubMember.login,
+                        })),
+                    });
+                });
+        }
+
+        return membershipChanges;
+    };
+
+    const changes = [];
+    await asyncSequence(sortByHierarchy(configTeams), async (configTeam) => {
+        const description = `team '${configTeam.name}'`;
+        if (!configTeam.githubTeam) {
+            changes.push({
+                action: 'create',
+                description,
+                details: [
+                    `description: ${configTeam.description || 'n/a'}`,
+                    `privacy: ${configTeam.privacy || 'default'}`,
+                    `parent team: ${configTeam.parentTeam || 'n/a'}`,
+                    `maintainers: ${(configTeam.maintainers || []).join(', ') || 'n/a'}`,
+                ],
+                apply: async () => {
+                    const { data: githubTeam } = await limiter.schedule(() => octokit.rest.teams.create({
+                        org: githubOrg.login,
+                        name: configTeam.name,
+                        description: configTeam.description,
+                        privacy: configTeam.privacy,
+                        parent_team_id: findParentTeamId(configTeam) || undefined,
+                        maintainers: (configTeam.maintainers || []).filter(isValidUsername),
+                    }));
+                    configTeam.githubTeam = githubTeam;
+                },
+            });
+            changes.push(...await planMembershipChanges(configTeam));
+
+            return;
+        }
+
+        // Only compare the attributes that are configured
+        const currentAttributes = {};
+        const expectedAttributes = {};
+        if ('description' in configTeam) {
+            // GitHub returns an empty description for teams without description
+            currentAttributes.description = configTeam.githubTeam.description || '';
+            expectedAttributes.description = configTeam.description || '';
+        }
+        if ('privacy' in configTeam) {
+            currentAttributes.privacy = configTeam.githubTeam.privacy || null;
+            expectedAttributes.privacy = configTeam.privacy;
+        }
+        if ('parentTeam' in configTeam) {
+            currentAttributes.parentTeam = getParentTeamName(configTeam.githubTeam);
+            expectedAttributes.parentTeam = configTeam.parentTeam;
+        }
+        const details = Plan.formatObjectChanges(currentAttributes, expectedAttributes);
+        if (details.length > 0) {
+            changes.push({
+                action: 'update',
+                description,
+                details,
+                apply: async () => {
+                    const parameters = {
+                        org: githubOrg.login,
+                        team_slug: configTeam.githubTeam.slug,
+                        name: configTeam.name,
+                        description: configTeam.description,
+                        privacy: configTeam.privacy,
+                    };
+                    if ('parentTeam' in configTeam) {
+                        parameters.parent_team_id = findParentTeamId(configTeam);
+                    }
+                    await limiter.schedule(() => octokit.rest.teams.updateInOrg(parameters));
+                },
+            });
+        }
+
+        changes.push(...await planMembershipChanges(configTeam));
+    });
+
+    if (!deleteTeams) {
+        return changes;
+    }
+
+    // Never delete a team that is (or remains) an ancestor of a configured team, because deleting a team deletes all
+    // its child teams as well
+    const configTeamNames = configTeams.map(team => team.name);
+    const findGithubTeam = name => githubTeams.find(team => team.name === name);
+    const protectedTeamNames = [];
+    configTeams.forEach((configTeam) => {
+        let parentTeamName = ('parentTeam' in configTeam) ? configTeam.parentTeam : getParentTeamName(configTeam.githubTeam);
+        while (parentTeamName && !configTeamNames.includes(parentTeamName) && !protectedTeamNames.includes(parentTeamName)) {
+            protectedTeamNames.push(parentTeamName);
+            parentTeamName = getParentTeamName(findGithubTeam(parentTeamName));
+        }
+    });
+    githubTeams
+        .filter(githubTeam => !configTeamNames.includes(githubTeam.name))
+        .forEach((githubTeam) => {
+            if (protectedTeamNames.includes(githubTeam.name)) {
+                console.log(`\tKeeping team '${githubTeam.name}', because it is the parent of a configured team`);
+
+                return;
+            }
+            changes.push({
+                action: 'delete',
+                description: `team '${githubTeam.name}'`,
+                apply: async () => {
+                    try {
+                        await limiter.schedule(() => octokit.rest.teams.deleteInOrg({
+                            org: githubOrg.login,
+                            team_slug: githubTeam.slug,
+                        }));
+                    } catch (error) {
+                        // Ignore '404 Not found' errors, since they mean that the team was already deleted together
+                        // with its parent team
+                        if (error.status !== 404) {
+                            throw error;
+                        }
+                    }
+                },
+            });
+        });
+
+    return changes;
+};
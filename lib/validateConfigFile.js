@@ -0,0 +1,373 @@
+const Ajv = require('ajv');
+const fs = require('mz/fs');
+const path = require('path');
+const YAML = require('yaml');
+const asyncSequence = require('./asyncSequence');
+const configReader = require('./configReader');
+const interpolateEnvironmentVariables = require('./interpolateEnvironmentVariables');
+const configSchema = require('../config.schema.json');
+
+const TYPE_NAMES = {
+    array: 'Array',
+    boolean: 'Boolean',
+    integer: 'Number',
+    null: 'Null',
+    number: 'Number',
+    object: 'Object',
+    string: 'String',
+};
+
+const validateSchema = new Ajv({
+    allErrors: true,
+    allowUnionTypes: true,
+    verbose: true,
+}).compile(configSchema);
+
+/**
+ * @param {String[]} values
+ * @return {String} E.g. "'a', 'b' or 'c'"
+ */
+const formatList = (values) => {
+    const quotedValues = values.map(value => `'${value}'`);
+
+    return (quotedValues.length > 1) ? `${quotedValues.slice(0, -1).join(', ')} or ${quotedValues[quotedValues.length - 1]}` : quotedValues.join('');
+};
+
+/**
+ * @param {String} lhs
+ * @param {String} rhs
+ * @return {Number}
+ */
+const levenshteinDistance = (lhs, rhs) => {
+    let previousRow = Array.from({ length: rhs.length + 1 }, (value, index) => index);
+    lhs.split('').forEach((lhsCharacter, lhsIndex) => {
+        const row = [lhsIndex + 1];
+        rhs.split('').forEach((rhsCharacter, rhsIndex) => {
+            row.push(Math.min(
+                row[rhsIndex] + 1,
+                previousRow[rhsIndex + 1] + 1,
+                previousRow[rhsIndex] + ((lhsCharacter === rhsCharacter) ? 0 : 1),
+            ));
+        });
+        previousRow = row;
+    });
+
+    return previousRow[rhs.length];
+};
+
+/**
+ * Returns the one of the passed `knownKeys` that is most similar to the passed (unknown) key, if any is similar enough
+ * to likely be meant instead.
+ *
+ * @param {String} key
+ * @param {String[]} knownKeys
+ * @return {String|undefined}
+ */
+const findSimilarKey = (key, knownKeys) => {
+    const maxDistance = Math.max(2, Math.floor(key.length / 3));
+    const candidates = knownKeys
+        .map(knownKey => ({
+            knownKey,
+            distance: levenshteinDistance(key.toLowerCase(), knownKey.toLowerCase()),
+        }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((lhs, rhs) => lhs.distance - rhs.distance);
+
+    return (candidates.length > 0) ? candidates[0].knownKey : undefined;
+};
+
+/**
+ * @param {String[]} segments
+ * @return {String} E.g. `teams[0].name`
+ */
+const formatBreadcrump = segments => segments.reduce((breadcrump, segment) => {
+    if (/^\d+$/.test(segment)) {
+        return `${breadcrump}[${segment}]`;
+    }
+
+    return breadcrump ? `${breadcrump}.${segment}` : segment;
+}, '');
+
+/**
+ * Returns the line and column of the value at the path described by `segments` in the passed YAML document. Values of
+ * objects are located by their key. If the value does not exist, the location of its closest existing parent is
+ * returned.
+ *
+ * @param {YAML.Document} document
+ * @param {YAML.LineCounter} lineCounter
+ * @param {String[]} segments
+ * @return {Object}
+ */
+const locateValue = (document, lineCounter, segments) => {
+    let node = document.contents;
+    let range = node ? node.range : [0];
+    segments.every((segment) => {
+        let childRange;
+        if (YAML.isMap(node)) {
+            const pair = node.items.find(item => String(YAML.isScalar(item.key) ? item.key.value : item.key) === segment);
+            if (pair) {
+                node = pair.value;
+                childRange = YAML.isNode(pair.key) ? pair.key.range : undefined;
+            }
+        } else if (YAML.isSeq(node) && node.items[Number(segment)]) {
+            node = node.items[Number(segment)];
+            childRange = node.range;
+        }
+        if (!childRange) {
+            return false;
+        }
+        range = childRange;
+
+        return true;
+    });
+    const { line, col } = lineCounter.linePos(range[0]);
+
+    return {
+        line,
+        column: col,
+    };
+};
+
+/**
+ * Interpolates all environment variables referenced in the string values of the passed (parsed) config that are set,
+ * like `configReader` does, and keeps references to unset variables as they are.
+ *
+ * @param {*} value
+ * @param {String[]} segments The path of the value.
+ * @param {Object[]} unsetVariables Receives the `segments` and `name` of each reference to an unset variable.
+ * @return {*}
+ */
+const interpolateConfig = (value, segments, unsetVariables) => {
+    if (typeof value === 'string') {
+        return interpolateEnvironmentVariables(value, (name) => {
+            unsetVariables.push({
+                segments,
+                name,
+            });
+
+            return `\${${name}}`;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((entry, index) => interpolateConfig(entry, [...segments, String(index)], unsetVariables));
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.keys(value).reduce((interpolatedValue, key) => ({
+        ...interpolatedValue,
+        [key]: interpolateConfig(value[key], [...segments, key], unsetVariables),
+    }), {});
+};
+
+/**
+ * @param {String[]} segments
+ * @return {String} The JSON pointer used as `instancePath` of schema validation errors.
+ */
+const formatInstancePath = segments => segments.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+/**
+ * Converts the passed schema validation error into a problem.
+ *
+ * @param {Object} error
+ * @return {Object}
+ */
+const createSchemaProblem = (error) => {
+    const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const breadcrump = formatBreadcrump(segments);
+    switch (error.keyword) {
+        case 'additionalProperties': {
+            const key = error.params.additionalProperty;
+            const similarKey = findSimilarKey(key, Object.keys(error.parentSchema.properties || {}));
+
+            return {
+                segments: [...segments, key],
+                message: `'${formatBreadcrump([...segments, key])}' is not a known key.${similarKey ? ` Did you mean '${similarKey}'?` : ''}`,
+            };
+        }
+        case 'required':
+            return {
+                segments,
+                message: `${breadcrump ? `'${breadcrump}'` : 'The config'} is missing the required key '${error.params.missingProperty}'.`,
+            };
+        case 'type':
+            return {
+                segments,
+                message: `'${breadcrump}' must be of type ${formatList([].concat(error.params.type).join(',').split(',').map(type => TYPE_NAMES[type]))}.`,
+            };
+        case 'enum':
+            return {
+                segments,
+                message: `'${breadcrump}' must be one of ${formatList(error.params.allowedValues)}.`,
+            };
+        case 'pattern':
+            // Patterns are hard to read, hence prefer the description of the value if there is one
+            return {
+                segments,
+                message: error.parentSchema.description ? `'${breadcrump}' is invalid. Expected: ${error.parentSchema.description}` : `'${breadcrump}' ${error.message}.`,
+            };
+        default:
+            return {
+                segments,
+                message: `'${breadcrump}' ${error.message}.`,
+            };
+    }
+};
+
+/**
+ * Validates the passed config file and all config files it extends or includes against the config schema.
+ *
+ * @param {String} filePath
+ * @param {Object[]} problems
+ * @param {Object} options
+ * @param {String[]} options.loadingFilePaths The absolute paths of all files that are currently being validated.
+ * @param {Boolean} options.isPartial Whether the config is merged with other config files.
+ * @param {String[]} options.unsetVariableBreadcrumps Receives the breadcrumps of all values referencing unset
+ *        environment variables.
+ * @return {Object|null} The YAML document and line counter of the file and whether it is partial, if it could be parsed.
+ */
+const validateFile = async (filePath, problems, { loadingFilePaths, isPartial, unsetVariableBreadcrumps }) => {
+    const addProblem = (message, position = {}, isWarning = false) => problems.push({
+        filePath,
+        ...position,
+        message,
+        ...(isWarning ? { isWarning } : {}),
+    });
+    const absoluteFilePath = path.resolve(filePath);
+    if (loadingFilePaths.includes(absoluteFilePath)) {
+        addProblem(`The config files extend or include each other in a cycle (${[...loadingFilePaths, absoluteFilePath].join(' → ')}).`);
+
+        return null;
+    }
+    if (!await fs.exists(filePath)) {
+        addProblem(`The file ${filePath} does not exist!`);
+
+        return null;
+    }
+    const fileExtension = path.extname(filePath).toLowerCase();
+    if (!['.yml', '.yaml', '.json'].includes(fileExtension)) {
+        addProblem(`Invalid config file extension ${fileExtension}. Please use 'yml'/'yaml' or 'json'.`);
+
+        return null;
+    }
+
+    // Parse the file using a YAML parser that keeps track of the source positions (JSON is valid YAML too)
+    const lineCounter = new YAML.LineCounter();
+    const document = YAML.parseDocument(await fs.readFile(filePath, 'utf8'), { lineCounter });
+    if (document.errors.length > 0) {
+        document.errors.forEach(error => addProblem(error.message.split('\n')[0], {
+            line: error.linePos[0].line,
+            column: error.linePos[0].col,
+        }));
+
+        return null;
+    }
+    const unsetVariables = [];
+    const config = interpolateConfig(document.toJS(), [], unsetVariables);
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        addProblem(`The file ${filePath} must contain an object.`);
+
+        return null;
+    }
+
+    // Required keys of partial configs are validated after merging them
+    const includedFiles = [].concat(config.include || []);
+    const isPartialConfig = isPartial || 'extends' in config || 'include' in config;
+    validateSchema(config);
+
+    // The actual values of unset variables are unknown, hence only report them instead of checking the values' format
+    const unsetVariablePaths = unsetVariables.map(({ segments }) => formatInstancePath(segments));
+    unsetVariableBreadcrumps.push(...unsetVariables.map(({ segments }) => formatBreadcrump(segments)));
+    [
+        ...(validateSchema.errors || [])
+            .filter(error => (
+                error.keyword !== 'if'
+                && !(isPartialConfig && error.keyword === 'required')
+                && !(['pattern', 'format'].includes(error.keyword) && unsetVariablePaths.includes(error.instancePath))
+            ))
+            .map(createSchemaProblem),
+        ...unsetVariables.map(({ segments, name }) => ({
+            segments,
+            message: `'${formatBreadcrump(segments)}' references the environment variable '${name}', which is not set.`,
+            isWarning: true,
+        })),
+    ]
+        .map(({ segments, message, isWarning }) => ({
+            message,
+            position: locateValue(document, lineCounter, segments),
+            isWarning,
+        }))
+        .sort((lhs, rhs) => (lhs.position.line - rhs.position.line) || (lhs.position.column - rhs.position.column))
+        .forEach(({ message, position, isWarning }) => addProblem(message, position, isWarning));
+
+    const nestedOptions = {
+        loadingFilePaths: [...loadingFilePaths, absoluteFilePath],
+        isPartial: true,
+        unsetVariableBreadcrumps,
+    };
+    const resolvePath = file => path.resolve(path.dirname(filePath), file);
+    if (typeof config.extends === 'string' && config.extends.length > 0) {
+        await validateFile(resolvePath(config.extends), problems, nestedOptions);
+    }
+    await asyncSequence(
+        includedFiles.filter(file => typeof file === 'string' && file.length > 0),
+        file => validateFile(resolvePath(file), problems, nestedOptions),
+    );
+
+    return {
+        document,
+        lineCounter,
+        isPartial: isPartialConfig,
+    };
+};
+
+/**
+ * Validates the passed config file including all files it extends or includes and returns all problems found. Each
+ * problem contains the `filePath`, the `message` and, if known, the `line` and `column` of the invalid value.
+ * Once the schema of all files is valid, the merged config is validated the same way the commands do it, which reports
+ * only the first problem found. Environment variables are interpolated like the commands do it, whereby references to
+ * variables that are not set are reported as problems flagged with `isWarning`.
+ *
+ * @param {String} filePath
+ * @return {Object[]}
+ */
+module.exports = async (filePath) => {
+    const problems = [];
+    const unsetVariableBreadcrumps = [];
+    const parsedFile = await validateFile(filePath, problems, {
+        loadingFilePaths: [],
+        isPartial: false,
+        unsetVariableBreadcrumps,
+    });
+    if (problems.some(problem => !problem.isWarning)) {
+        return problems;
+    }
+
+    try {
+        // Environment variables are usually only set when running the commands, hence keep references to unset ones
+        await configReader(filePath, { allowUnsetEnvironmentVariables: true });
+    } catch (err) {
+        const problem = {
+            filePath,
+            message: err.message.replace(/^Invalid config: /, ''),
+        };
+        const sourceFileMatch = problem.message.match(/^(.*) \(in (.+)\)\.?$/);
+        if (sourceFileMatch) {
+            [, problem.message, problem.filePath] = sourceFileMatch;
+        }
+        // The value of an unset variable is already reported and cannot be validated
+        const breadcrumpMatch = problem.message.match(/^'([^']+)'/);
+        if (breadcrumpMatch && unsetVariableBreadcrumps.includes(breadcrumpMatch[1])) {
+            return problems;
+        }
+        // The location of the invalid value is only known if the config consists of a single file
+        if (breadcrumpMatch && !parsedFile.isPartial) {
+            const segments = breadcrumpMatch[1].split(/[.[\]]+/).filter(segment => segment.length > 0);
+            Object.assign(problem, locateValue(parsedFile.document, parsedFile.lineCounter, segments));
+        }
+        problems.push(problem);
+    }
+
+    return problems;
+};